@@ -0,0 +1,99 @@
+// Box Composer
+// Assorted sweet boxes by weight: contents, packaging, box cost, MRP and margin
+
+(function() {
+  'use strict';
+
+  // Box weights offered in the composer (grams)
+  const BOX_SIZES = [250, 500, 1000];
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Boxes = {
+    BOX_SIZES,
+
+    /**
+     * Recipes a box can be filled with: dishes (not preparations or boxes) with a known weight, by name
+     * Returns [{ id, name, pricePerKg, costPerKg, pieceWeightKg }]
+     */
+    listFillings(context) {
+      const Engine = window.Costing.Engine;
+      return Object.keys(context.recipes)
+        .map(id => ({ id, recipe: context.recipes[id], r: Engine.normalizeRecipe(context.recipes[id]) }))
+        .filter(({ r }) => !r.isPreparation && !r.isBox && Engine.getSaleUnitWeightKg(r, context) > 0)
+        .map(({ id, recipe, r }) => {
+          const perKg = Engine.getCostPerKg(recipe, context);
+          return {
+            id,
+            name: recipe.name,
+            pricePerKg: Engine.getPricePerKg(r, context),
+            costPerKg: perKg.raw + perKg.wastage + perKg.labour + perKg.utilities,
+            pieceWeightKg: this.getPieceWeightKg(r, context)
+          };
+        })
+        .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    },
+
+    /**
+     * Weight of one piece of a normalized recipe: its piece weight, else a per-piece sale unit's weight (0 = unknown)
+     */
+    getPieceWeightKg(r, context) {
+      if (r.pieceWeightKg > 0) return r.pieceWeightKg;
+      return r.saleUnit === 'piece' ? window.Costing.Engine.getSaleUnitWeightKg(r, context) : 0;
+    },
+
+    /**
+     * Ex-GST selling price of a box whose MRP (incl. GST) is given, under its category's GST slab
+     */
+    sellingPriceFromMrp(mrp, category, context) {
+      const rate = window.Costing.Tax.getOutputRate(category, context);
+      return Math.round((parseFloat(mrp) || 0) / (1 + rate / 100) * 100) / 100;
+    },
+
+    /**
+     * Costed view of a box (a recipe with isBox and boxItems)
+     * looseValue is what the same sweets fetch sold loose at their price per kg (ex-GST)
+     * Returns { weightKg, items: [{ recipeId, name, weightKg, pieces, cost, looseValue }], contentsCost,
+     *           packagingCost, cost, looseValue, sellingPrice, gstRate, mrp, profit, margin }
+     */
+    summarize(box, context) {
+      const Engine = window.Costing.Engine;
+      const r = Engine.normalizeRecipe(box);
+      const items = r.boxItems
+        .filter(item => context.recipes[item.recipeId])
+        .map(item => {
+          const recipe = context.recipes[item.recipeId];
+          const sweet = Engine.normalizeRecipe(recipe);
+          const perKg = Engine.getCostPerKg(recipe, context);
+          const pieceWeight = this.getPieceWeightKg(sweet, context);
+          return {
+            recipeId: item.recipeId,
+            name: recipe.name,
+            weightKg: item.weightKg,
+            // Approximate: pieces rarely weigh out exactly
+            pieces: pieceWeight > 0 ? item.weightKg / pieceWeight : null,
+            cost: (perKg.raw + perKg.wastage + perKg.labour + perKg.utilities) * item.weightKg,
+            looseValue: Engine.getPricePerKg(sweet, context) * item.weightKg
+          };
+        });
+      const breakdown = Engine.computeBreakdown(box, context);
+      const tax = window.Costing.Tax.computeTaxBreakdown(box, context);
+
+      return {
+        weightKg: Engine.getBatchWeightKg(r, context),
+        items,
+        contentsCost: breakdown.total - breakdown.packaging,
+        packagingCost: breakdown.packaging,
+        cost: breakdown.total,
+        looseValue: items.reduce((sum, item) => sum + item.looseValue, 0),
+        sellingPrice: tax.sellingPrice,
+        gstRate: tax.outputRate,
+        mrp: tax.menuPrice,
+        profit: tax.sellingPrice - breakdown.total,
+        margin: tax.preTaxMargin
+      };
+    }
+  };
+
+  console.log('✅ Costing.Boxes module loaded');
+})();
@@ -0,0 +1,132 @@
+// Break-even Analysis
+// Contribution margin, break-even volume and profit-volume curves per dish and per location
+
+(function() {
+  'use strict';
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.BreakEven = {
+    /**
+     * Variable cost of one sale unit: material, wastage and packaging
+     * (labour and utilities are allocated fixed costs)
+     */
+    getVariableCost(breakdown) {
+      return breakdown.raw + breakdown.wastage + breakdown.packaging;
+    },
+
+    /**
+     * Fill in the break-even figures from monthly fixed costs, contribution per unit and current volume
+     */
+    summarize({ fixedMonthly, sellingPrice, contribution, currentUnits, days }) {
+      const reachable = contribution > 0;
+      const breakEvenUnits = reachable ? fixedMonthly / contribution : null;
+      return {
+        fixedMonthly,
+        sellingPrice,
+        contribution,
+        contributionRatio: sellingPrice ? (contribution / sellingPrice) * 100 : 0,
+        currentUnits,
+        currentDaily: currentUnits / days,
+        currentProfit: contribution * currentUnits - fixedMonthly,
+        reachable,
+        breakEvenUnits,
+        breakEvenDaily: reachable ? breakEvenUnits / days : null,
+        breakEvenRevenue: reachable ? breakEvenUnits * sellingPrice : null,
+        // How far sales can drop before the dish or location makes a loss, in %
+        marginOfSafety: reachable && currentUnits ? ((currentUnits - breakEvenUnits) / currentUnits) * 100 : null
+      };
+    },
+
+    /**
+     * Break-even of one dish over a month
+     * The dish carries the labour and utilities it is allocated at its current daily volume,
+     * so its fixed costs are held at today's share of its location
+     */
+    forRecipe(recipe, context) {
+      const Engine = window.Costing.Engine;
+      const r = Engine.normalizeRecipe(recipe);
+      const breakdown = Engine.computeBreakdown(recipe, context);
+      const days = Math.max(1, parseFloat(context.settings.workingDaysPerMonth) || 1);
+      const currentUnits = Math.max(1, r.dailyVolume) * days;
+
+      return {
+        name: recipe.name,
+        saleUnit: breakdown.saleUnit,
+        variableCost: this.getVariableCost(breakdown),
+        ...this.summarize({
+          fixedMonthly: (breakdown.labour + breakdown.utilities) * currentUnits,
+          sellingPrice: r.sellingPrice,
+          contribution: r.sellingPrice - this.getVariableCost(breakdown),
+          currentUnits,
+          days
+        })
+      };
+    },
+
+    /**
+     * Break-even of a location at the current sales mix of its dishes
+     * Outlets take the dishes they sell, at the outlet's price and an even share of each dish's daily volume
+     * across the outlets selling it; kitchens take the dishes they produce
+     * Fixed costs are the location's monthly overhead plus its payroll;
+     * price and contribution are averages per sale unit weighted by daily volume
+     */
+    forLocation(location, context) {
+      const Engine = window.Costing.Engine;
+      const Locations = window.Costing.Locations;
+      const days = Math.max(1, parseFloat(context.settings.workingDaysPerMonth) || 1);
+      const isOutlet = (context.locations[location] || {}).kind === 'outlet';
+
+      let currentUnits = 0;
+      let revenue = 0;
+      let contribution = 0;
+      Object.values(context.recipes).forEach(recipe => {
+        const r = Engine.normalizeRecipe(recipe);
+        if (r.isPreparation) return;
+        let share = 1;
+        let price = r.sellingPrice;
+        if (isOutlet) {
+          const outlets = Locations.getOutlets(recipe, context);
+          if (!outlets.includes(location)) return;
+          share = 1 / outlets.length;
+          price = Locations.getOutletPrice(recipe, location);
+        } else if (Engine.getRecipeLocation(r, context) !== location) {
+          return;
+        }
+        const units = Math.max(1, r.dailyVolume) * days * share;
+        const variableCost = this.getVariableCost(Engine.computeBreakdown(recipe, context));
+        currentUnits += units;
+        revenue += price * units;
+        contribution += (price - variableCost) * units;
+      });
+
+      return {
+        location,
+        dishes: currentUnits > 0,
+        ...this.summarize({
+          fixedMonthly: Engine.getLocationOverhead(location, context) + Engine.getLocationPayroll(location, context),
+          sellingPrice: currentUnits ? revenue / currentUnits : 0,
+          contribution: currentUnits ? contribution / currentUnits : 0,
+          currentUnits,
+          days
+        })
+      };
+    },
+
+    /**
+     * Monthly profit at volumes from 0 to past both the break-even point and current volume
+     * Returns [{ units, profit }]
+     */
+    profitCurve(analysis, steps = 20) {
+      const reach = Math.max(analysis.currentUnits, analysis.breakEvenUnits || 0, 1) * 1.5;
+      const points = [];
+      for (let i = 0; i <= steps; i++) {
+        const units = (reach * i) / steps;
+        points.push({ units, profit: analysis.contribution * units - analysis.fixedMonthly });
+      }
+      return points;
+    }
+  };
+
+  console.log('✅ Costing.BreakEven module loaded');
+})();
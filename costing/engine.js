@@ -0,0 +1,861 @@
+// Costing Engine
+// Single source of truth for recipe cost calculations used by every screen
+
+(function() {
+  'use strict';
+
+  // Organization-level costing settings (stored in DATA.settings / organizations.costing_settings)
+  const DEFAULT_SETTINGS = {
+    // How shared staff (cashiers, managers) are split between departments, in %
+    sharedPayrollSplit: { restaurant: 50, sweets: 50 },
+    // Days the monthly overhead is spread over
+    workingDaysPerMonth: 30,
+    // Share of allocated overhead reported as labour vs utilities, in % per location
+    overheadSplit: {
+      shop: { labour: 60, utilities: 40 },
+      factory: { labour: 60, utilities: 40 }
+    },
+    // How a location's daily overhead is shared between its recipes
+    allocationBasis: 'per_unit',
+    // snapshot: recipe lines keep the price saved with them; live: always use current ingredient prices
+    pricingMode: 'snapshot',
+    // Output GST slab (%) per recipe category; other categories use their department's slab
+    categoryGstRates: { restaurant: 5, sweets: 5 },
+    // Selling price assistant: rounding of the menu price (incl. GST)
+    priceRounding: 'nearest_5',
+    // Ingredient cost used for recipes: latest price, or stock valued by weighted average / FIFO (costing/valuation.js)
+    valuationMethod: 'latest',
+    // Price kitchens charge outlets for transferred dishes (costing/transfers.js); percent applies to cost_plus / outlet_less
+    transferPricing: { rule: 'cost_plus', percent: 15 }
+  };
+
+  const ALLOCATION_BASES = {
+    per_unit: 'Per unit produced',
+    per_kg: 'Per kg produced',
+    revenue_share: 'Per revenue share'
+  };
+
+  const PRICING_MODES = {
+    snapshot: 'Snapshot (price saved with the recipe)',
+    live: 'Live (current ingredient price)'
+  };
+
+  // Snapshot prices closer than this to the current price are not stale (₹)
+  const STALE_TOLERANCE = 0.005;
+
+  // What one selling price buys; count units divide the batch by batchCount,
+  // weight units by the batch weight (kg: weight of one sale unit)
+  const SALE_UNITS = {
+    item: { label: 'Per item (whole recipe)', short: 'item' },
+    piece: { label: 'Per piece', short: 'piece', count: true },
+    plate: { label: 'Per plate', short: 'plate', count: true },
+    '250g': { label: 'Per 250 g', short: '250 g', kg: 0.25 },
+    kg: { label: 'Per kg', short: 'kg', kg: 1 }
+  };
+
+  // Standard monthly overhead lines per location; users can add lines under any other name
+  const OVERHEAD_LINES = {
+    electricity: 'Electricity',
+    gas: 'Gas/Fuel',
+    rent: 'Rent',
+    water: 'Water',
+    maintenance: 'Maintenance',
+    labor: 'Contract Labour',
+    internet: 'Internet',
+    licences: 'Licences',
+    equipment_emi: 'Equipment EMI',
+    depreciation: 'Depreciation'
+  };
+
+  // What a packaging quantity is counted against: every sale unit sold, or one whole batch
+  const PACKAGING_BASES = {
+    sale_unit: 'Per sale unit',
+    batch: 'Per batch'
+  };
+
+  // Density assumed when weighing liquids without a recorded density (water, kg/L)
+  const DEFAULT_DENSITY = 1;
+
+  // Recipe categories offered by the recipe forms; each has its own output GST slab
+  const RECIPE_CATEGORIES = {
+    restaurant: 'Restaurant',
+    sweets: 'Sweets'
+  };
+
+  // Staff departments; shared staff (cashiers, managers) are split by sharedPayrollSplit
+  const DEPARTMENTS = {
+    restaurant: 'Restaurant',
+    sweets: 'Sweets',
+    shared: 'Shared'
+  };
+
+  // What a location does: outlets sell, kitchens produce for other locations
+  const LOCATION_KINDS = {
+    outlet: 'Outlet (sells)',
+    kitchen: 'Kitchen / factory (produces)'
+  };
+
+  // Locations every organization has; their overhead lives on the organization (shop_overhead / factory_overhead)
+  // and they carry the payroll of their department's staff who are not assigned to a location
+  const BUILT_IN_LOCATIONS = {
+    shop: { name: 'Shop', kind: 'outlet', department: 'restaurant' },
+    factory: { name: 'Factory', kind: 'kitchen', department: 'sweets' }
+  };
+
+  // Recursively lay stored values over defaults (objects merge, everything else replaces)
+  function mergeDefaults(defaults, stored) {
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return defaults;
+    const result = { ...defaults };
+    Object.keys(stored).forEach(key => {
+      const def = defaults[key];
+      result[key] = (def && typeof def === 'object' && !Array.isArray(def))
+        ? mergeDefaults(def, stored[key])
+        : stored[key];
+    });
+    return result;
+  }
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Engine = {
+    DEFAULT_SETTINGS,
+    ALLOCATION_BASES,
+    PRICING_MODES,
+    SALE_UNITS,
+    PACKAGING_BASES,
+    OVERHEAD_LINES,
+    RECIPE_CATEGORIES,
+    DEPARTMENTS,
+    LOCATION_KINDS,
+    BUILT_IN_LOCATIONS,
+
+    /**
+     * Build a costing context from the app data model
+     * Accepts the local DATA object or rows loaded from the multi-table schema
+     */
+    createContext(data = {}) {
+      return {
+        ingredients: data.ingredients || {},
+        recipes: data.recipes || {},
+        staff: data.staff || {},
+        // Packaging and consumables library (boxes, butter paper, bags), separate from ingredients
+        packaging: data.packaging || {},
+        locations: this.resolveLocations(data),
+        shopOverhead: data.shop_overhead || {},
+        factoryOverhead: data.factory_overhead || {},
+        priceHistory: this.normalizePriceHistory(data.priceHistory || data.price_history),
+        settings: this.resolveSettings(data.settings),
+        // Date (YYYY-MM-DD) to cost at; null means today's prices
+        asOf: null,
+        // Valued cost per ingredient from the stock ledger (Valuation.applyToContext); null uses prices
+        valuedPrices: null
+      };
+    },
+
+    /**
+     * Group price history by ingredient, oldest first
+     * Accepts the local map ({ ingredientId: { entryId: entry } }) or ingredient_price_history rows
+     */
+    normalizePriceHistory(history) {
+      const result = {};
+      if (!history) return result;
+
+      const add = (ingredientId, entry) => {
+        (result[ingredientId] = result[ingredientId] || []).push({
+          price: parseFloat(entry.price !== undefined ? entry.price : entry.price_per_unit) || 0,
+          effectiveFrom: String(entry.effectiveFrom || entry.effective_from || '').slice(0, 10),
+          supplier: entry.supplier || null,
+          // When the price was entered; an effectiveFrom after that day is a price scheduled ahead
+          recordedAt: entry.recordedAt || entry.created_at || null
+        });
+      };
+
+      if (Array.isArray(history)) {
+        history.forEach(row => add(row.ingredient_id, row));
+      } else {
+        Object.keys(history).forEach(ingredientId => {
+          Object.values(history[ingredientId] || {}).forEach(entry => add(ingredientId, entry));
+        });
+      }
+
+      Object.values(result).forEach(entries => entries.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom)));
+      return result;
+    },
+
+    /**
+     * Price of an ingredient on a date (YYYY-MM-DD), or null when no price was recorded by then
+     */
+    getPriceOn(ingredientId, date, context) {
+      const entries = context.priceHistory[ingredientId] || [];
+      let price = null;
+      entries.forEach(entry => {
+        if (entry.effectiveFrom <= date) price = entry.price;
+      });
+      return price;
+    },
+
+    /**
+     * Price scheduled ahead that is in force today, or null
+     * A future-dated price leaves the ingredient's price alone until its date; from then on it
+     * applies while it is the last price entered of those in force (a price entered later, even
+     * back-dated, replaces it)
+     */
+    getScheduledPrice(ingredientId, context) {
+      const today = this.toISODate();
+      const recordedTime = entry => entry.recordedAt ? new Date(entry.recordedAt).getTime() : 0;
+      let newest = null;
+      (context.priceHistory[ingredientId] || []).forEach(entry => {
+        if (entry.effectiveFrom <= today && (!newest || recordedTime(entry) >= recordedTime(newest))) newest = entry;
+      });
+      if (!newest || !newest.recordedAt) return null;
+      return newest.effectiveFrom > this.toISODate(new Date(newest.recordedAt)) ? newest.price : null;
+    },
+
+    /**
+     * Price timeline of an ingredient with the % change from the previous price
+     * Returns [{ price, effectiveFrom, supplier, changePct }] oldest first
+     */
+    getPriceTimeline(ingredientId, context) {
+      const entries = context.priceHistory[ingredientId] || [];
+      return entries.map((entry, i) => {
+        const previous = i > 0 ? entries[i - 1].price : null;
+        return {
+          ...entry,
+          changePct: previous ? ((entry.price - previous) / previous) * 100 : null
+        };
+      });
+    },
+
+    /**
+     * Cost breakdown of a recipe at the ingredient prices effective on a date
+     */
+    computeBreakdownOn(recipe, date, context) {
+      return this.computeBreakdown(recipe, { ...context, asOf: String(date).slice(0, 10) });
+    },
+
+    /**
+     * Merge stored settings over the defaults
+     */
+    resolveSettings(settings = {}) {
+      return mergeDefaults(DEFAULT_SETTINGS, settings);
+    },
+
+    /**
+     * Outlets a recipe is listed at with their own price (null = the recipe's selling price)
+     * Local: outlets { locationId: { price } }; database: recipe_outlets rows
+     */
+    normalizeOutlets(recipe) {
+      const outlets = {};
+      if (Array.isArray(recipe.recipe_outlets)) {
+        recipe.recipe_outlets.forEach(row => {
+          const price = parseFloat(row.selling_price);
+          outlets[row.location] = { price: isNaN(price) ? null : price };
+        });
+        return outlets;
+      }
+      Object.keys(recipe.outlets || {}).forEach(id => {
+        const price = parseFloat((recipe.outlets[id] || {}).price);
+        outlets[id] = { price: isNaN(price) ? null : price };
+      });
+      return outlets;
+    },
+
+    /**
+     * Contents of an assorted box: [{ recipeId, weightKg }]
+     * Local: boxItems [{ recipeId, grams }]; database: recipe_box_items rows
+     */
+    normalizeBoxItems(recipe) {
+      if (Array.isArray(recipe.recipe_box_items)) {
+        return recipe.recipe_box_items.map(row => ({ recipeId: row.item_recipe_id, weightKg: (parseFloat(row.weight_g) || 0) / 1000 }));
+      }
+      return (recipe.boxItems || []).map(item => ({ recipeId: item.recipeId, weightKg: (parseFloat(item.grams) || 0) / 1000 }));
+    },
+
+    /**
+     * Built-in and custom locations keyed by id: { id, name, kind, department, overhead, builtIn }
+     * Custom locations come from data.locations (local map or locations rows)
+     */
+    resolveLocations(data = {}) {
+      const locations = {
+        shop: { id: 'shop', ...BUILT_IN_LOCATIONS.shop, overhead: data.shop_overhead || {}, builtIn: true },
+        factory: { id: 'factory', ...BUILT_IN_LOCATIONS.factory, overhead: data.factory_overhead || {}, builtIn: true }
+      };
+      Object.values(data.locations || {}).forEach(location => {
+        if (!location || !location.id || locations[location.id]) return;
+        locations[location.id] = {
+          id: location.id,
+          name: location.name,
+          kind: LOCATION_KINDS[location.kind] ? location.kind : 'outlet',
+          department: null,
+          overhead: location.overhead || {},
+          builtIn: false
+        };
+      });
+      return locations;
+    },
+
+    /**
+     * Calendar date (YYYY-MM-DD) of a Date in the device's time zone
+     * (toISOString would give the UTC date, which is a day behind before 05:30 IST)
+     */
+    toISODate(date = new Date()) {
+      const pad = n => String(n).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Department id for an entered value (case-insensitive), or null when it is not a department
+     */
+    normalizeDepartment(value) {
+      const key = String(value || '').trim().toLowerCase();
+      return DEPARTMENTS[key] ? key : null;
+    },
+
+    /**
+     * Staff department that produces a recipe category
+     */
+    getDepartment(category) {
+      return category === 'sweets' ? 'sweets' : 'restaurant';
+    },
+
+    /**
+     * Location (overhead cost centre) that produces a recipe category
+     */
+    getLocation(category) {
+      return category === 'sweets' ? 'factory' : 'shop';
+    },
+
+    /**
+     * Location a normalized recipe is produced at: its own location, else the one its category stands for
+     */
+    getRecipeLocation(r, context) {
+      return r.locationId && context.locations[r.locationId] ? r.locationId : this.getLocation(r.category);
+    },
+
+    /**
+     * Normalize a recipe from either the local (camelCase) or database (snake_case) shape
+     */
+    normalizeRecipe(recipe = {}) {
+      const lines = (recipe.ingredients || []).map(it => ({
+        ingredientId: it.id !== undefined ? it.id : it.ingredient_id,
+        // Set when the line uses a preparation (sub-recipe) instead of a purchased ingredient
+        recipeId: it.recipeId !== undefined ? it.recipeId : (it.sub_recipe_id || undefined),
+        quantity: parseFloat(it.qty !== undefined ? it.qty : it.quantity) || 0,
+        // Unit the quantity was entered in; database rows keep it in quantity_unit
+        unit: it.quantity_unit || it.unit,
+        purchaseUnit: it.purchaseUnit,
+        // Local recipes store a price snapshot; database rows carry the live price
+        snapshotPrice: it.price,
+        livePrice: it.price_per_unit
+      }));
+      const packaging = (recipe.packaging || []).map(it => ({
+        packagingId: it.id !== undefined ? it.id : it.packaging_id,
+        quantity: parseFloat(it.qty !== undefined ? it.qty : it.quantity) || 0,
+        per: it.per === 'batch' ? 'batch' : 'sale_unit',
+        // Database rows carry the item's current cost
+        livePrice: it.cost_per_unit
+      }));
+      const saleUnit = recipe.saleUnit !== undefined ? recipe.saleUnit : recipe.sale_unit;
+
+      return {
+        category: recipe.category,
+        sellingPrice: parseFloat(recipe.sellingPrice !== undefined ? recipe.sellingPrice : recipe.selling_price) || 0,
+        wastagePct: parseFloat(
+          recipe.wastage !== undefined ? recipe.wastage :
+          recipe.wastagePercent !== undefined ? recipe.wastagePercent :
+          recipe.wastage_percentage
+        ) || 0,
+        dailyVolume: parseFloat(recipe.dailyVolume !== undefined ? recipe.dailyVolume : recipe.daily_production) || 1,
+        // Preparations (syrups, khoya, masala bases) are made in-house and used as ingredients
+        isPreparation: !!(recipe.isPreparation !== undefined ? recipe.isPreparation : recipe.is_preparation),
+        yieldQuantity: parseFloat(recipe.yieldQuantity !== undefined ? recipe.yieldQuantity : recipe.yield_quantity) || 1,
+        yieldUnit: window.Costing.Units.normalize(recipe.yieldUnit !== undefined ? recipe.yieldUnit : recipe.yield_unit) || 'kg',
+        // Batch size and what the selling price is quoted per (legacy recipes: one item per batch)
+        saleUnit: SALE_UNITS[saleUnit] ? saleUnit : 'item',
+        batchWeightKg: parseFloat(recipe.batchWeightKg !== undefined ? recipe.batchWeightKg : recipe.batch_weight_kg) || 0,
+        batchCount: parseFloat(recipe.batchCount !== undefined ? recipe.batchCount : recipe.batch_count) || 0,
+        // Production location; null falls back to the category's location
+        locationId: recipe.locationId !== undefined ? recipe.locationId : (recipe.location || null),
+        outlets: this.normalizeOutlets(recipe),
+        // Sweets sold by weight: one piece's weight and the price quoted per kg (0 = not set)
+        pieceWeightKg: (parseFloat(recipe.pieceWeightG !== undefined ? recipe.pieceWeightG : recipe.piece_weight_g) || 0) / 1000,
+        pricePerKg: parseFloat(recipe.pricePerKg !== undefined ? recipe.pricePerKg : recipe.price_per_kg) || 0,
+        // Assorted boxes are filled with other recipes by weight instead of ingredients
+        isBox: !!(recipe.isBox !== undefined ? recipe.isBox : recipe.is_box),
+        boxItems: this.normalizeBoxItems(recipe),
+        lines,
+        packaging
+      };
+    },
+
+    /**
+     * Purchase unit of a line's ingredient (what its price is quoted per)
+     */
+    getPurchaseUnit(line, context) {
+      if (line.recipeId) {
+        const preparation = context.recipes[line.recipeId];
+        return preparation ? this.normalizeRecipe(preparation).yieldUnit : (line.purchaseUnit || line.unit);
+      }
+      const ingredient = context.ingredients[line.ingredientId];
+      return (ingredient && ingredient.unit) || line.purchaseUnit || line.unit;
+    },
+
+    /**
+     * Convert a line's quantity into its ingredient's purchase unit
+     * Lines without a unit, or in a unit that cannot be converted, are taken as purchase units
+     */
+    getLineQuantity(line, context) {
+      const purchaseUnit = this.getPurchaseUnit(line, context);
+      if (!line.unit || !purchaseUnit) return line.quantity;
+
+      const ingredient = context.ingredients[line.ingredientId];
+      const converted = window.Costing.Units.convert(line.quantity, line.unit, purchaseUnit, ingredient && ingredient.density);
+      return converted === null ? line.quantity : converted;
+    },
+
+    /**
+     * Resolve the unit cost for a recipe line: the purchase price net of any input GST credit
+     * Preparation lines always roll up the preparation's current cost per yield unit
+     * context.includeInputGst keeps the credit in (used to total the input credit on a recipe)
+     */
+    getLinePrice(line, context, stack = []) {
+      if (line.recipeId) {
+        return this.getPreparationUnitCost(line.recipeId, context, stack);
+      }
+      const price = this.getPurchasePrice(line, context);
+      if (context.includeInputGst) return price;
+      return price * (1 - this.getInputCreditRate(context.ingredients[line.ingredientId]));
+    },
+
+    /**
+     * Resolve the purchase price (incl. GST) for an ingredient line
+     * Costing as of a date uses the price history; otherwise a valued stock cost wins, then snapshot
+     * mode prefers the saved snapshot and live mode always uses the current ingredient price
+     */
+    getPurchasePrice(line, context) {
+      if (context.asOf) {
+        const historical = this.getPriceOn(line.ingredientId, context.asOf, context);
+        if (historical !== null) return historical;
+      } else if (context.valuedPrices && context.valuedPrices[line.ingredientId] !== undefined) {
+        return context.valuedPrices[line.ingredientId];
+      }
+      const hasSnapshot = line.snapshotPrice !== undefined && line.snapshotPrice !== null;
+      if (hasSnapshot && context.settings.pricingMode !== 'live') {
+        return parseFloat(line.snapshotPrice) || 0;
+      }
+      const current = this.getCurrentPrice(line, context);
+      if (current !== null) return current;
+      return hasSnapshot ? (parseFloat(line.snapshotPrice) || 0) : 0;
+    },
+
+    /**
+     * Share of an ingredient's purchase price that comes back as input GST credit
+     * Purchase prices include GST; only ingredients marked for input credit recover it
+     */
+    getInputCreditRate(ingredient) {
+      if (!ingredient) return 0;
+      const eligible = ingredient.inputCredit !== undefined ? ingredient.inputCredit : ingredient.input_credit;
+      const rate = parseFloat(ingredient.gstRate !== undefined ? ingredient.gstRate : ingredient.gst_rate) || 0;
+      return eligible && rate > 0 ? rate / (100 + rate) : 0;
+    },
+
+    /**
+     * Current purchase price of a line's ingredient, or null when it is unknown
+     * A price scheduled ahead takes over from the ingredient's price once its date arrives
+     */
+    getCurrentPrice(line, context) {
+      const ingredient = context.ingredients[line.ingredientId];
+      if (ingredient) {
+        const scheduled = this.getScheduledPrice(line.ingredientId, context);
+        if (scheduled !== null) return scheduled;
+        const price = ingredient.price !== undefined ? ingredient.price : ingredient.price_per_unit;
+        return parseFloat(price) || 0;
+      }
+      if (line.livePrice !== undefined && line.livePrice !== null) {
+        return parseFloat(line.livePrice) || 0;
+      }
+      return null;
+    },
+
+    /**
+     * Lines whose saved snapshot price no longer matches the current ingredient price
+     * Lines costed at valued stock (WAC / FIFO) do not use their snapshot and are never stale
+     * Returns [{ ingredientId, snapshotPrice, currentPrice }]
+     */
+    getStaleLines(recipe, context) {
+      const valued = context.valuedPrices || {};
+      return this.normalizeRecipe(recipe).lines
+        .filter(line => !line.recipeId && line.snapshotPrice !== undefined && line.snapshotPrice !== null)
+        .filter(line => valued[line.ingredientId] === undefined)
+        .map(line => ({
+          ingredientId: line.ingredientId,
+          snapshotPrice: parseFloat(line.snapshotPrice) || 0,
+          currentPrice: this.getCurrentPrice(line, context)
+        }))
+        .filter(line => line.currentPrice !== null && Math.abs(line.currentPrice - line.snapshotPrice) > STALE_TOLERANCE);
+    },
+
+    /**
+     * Whether a recipe's cost is based on outdated snapshot prices (only meaningful in snapshot mode)
+     */
+    isStale(recipe, context) {
+      return context.settings.pricingMode !== 'live' && this.getStaleLines(recipe, context).length > 0;
+    },
+
+    /**
+     * Before/after cost of repricing recipes to current ingredient prices
+     * Returns [{ id, before, after }] for every recipe whose cost changes, including
+     * dishes that only change through a stale preparation (per sale unit totals)
+     * Both sides keep the context's valued stock prices, so before is the cost shown today
+     */
+    computeRepriceDiff(recipes, context) {
+      const snapshotContext = { ...context, settings: { ...context.settings, pricingMode: 'snapshot' } };
+      const liveContext = { ...context, settings: { ...context.settings, pricingMode: 'live' } };
+      return Object.keys(recipes)
+        .map(id => ({
+          id,
+          before: this.computeBreakdown(recipes[id], snapshotContext).total,
+          after: this.computeBreakdown(recipes[id], liveContext).total
+        }))
+        .filter(diff => Math.abs(diff.after - diff.before) > STALE_TOLERANCE);
+    },
+
+    /**
+     * Raw material and wastage cost of a normalized recipe
+     * stack holds the ids of the preparations being costed, to stop at cycles
+     */
+    computeMaterialCost(r, context, stack = []) {
+      const raw = r.lines.reduce((sum, line) => sum + this.getLineQuantity(line, context) * this.getLinePrice(line, context, stack), 0);
+      return { raw, wastage: raw * (r.wastagePct / 100) };
+    },
+
+    /**
+     * Material cost of one yield unit of a preparation (e.g. ₹ per kg of sugar syrup)
+     * Overhead is not included: it is carried by the dishes the preparation goes into
+     */
+    getPreparationUnitCost(recipeId, context, stack = []) {
+      const preparation = context.recipes[recipeId];
+      if (!preparation) return 0;
+      if (stack.includes(recipeId)) {
+        console.warn(`⚠️ Preparation cycle detected at recipe ${recipeId}, costing it as 0`);
+        return 0;
+      }
+
+      const p = this.normalizeRecipe(preparation);
+      const material = this.computeMaterialCost(p, context, stack.concat(recipeId));
+      return (material.raw + material.wastage) / p.yieldQuantity;
+    },
+
+    /**
+     * Find a preparation cycle a recipe's lines would create
+     * Returns the chain of recipe ids (starting and ending at recipeId), or null
+     */
+    findCycle(recipeId, lines, context) {
+      const visit = (id, path) => {
+        if (id === recipeId) return path.concat(id);
+        if (path.includes(id)) return null;
+        const recipe = context.recipes[id];
+        if (!recipe) return null;
+        for (const line of this.normalizeRecipe(recipe).lines) {
+          if (!line.recipeId) continue;
+          const cycle = visit(line.recipeId, path.concat(id));
+          if (cycle) return cycle;
+        }
+        return null;
+      };
+
+      for (const line of lines) {
+        if (!line.recipeId) continue;
+        const cycle = visit(line.recipeId, [recipeId]);
+        if (cycle) return cycle;
+      }
+      return null;
+    },
+
+    /**
+     * Throw a validation error if a recipe's lines would make a preparation use itself
+     */
+    assertNoCycle(recipeId, recipe, context) {
+      const cycle = this.findCycle(recipeId, this.normalizeRecipe(recipe).lines, context);
+      if (cycle) {
+        const names = cycle.map(id => (context.recipes[id] && context.recipes[id].name) || id);
+        const error = new Error(`Preparation cycle: ${names.join(' → ')}`);
+        error.code = 'RECIPE_CYCLE';
+        error.field = 'ingredients';
+        throw error;
+      }
+    },
+
+    /**
+     * Key an overhead line is stored under ("Equipment EMI" → equipment_emi)
+     */
+    overheadLineKey(name) {
+      const text = String(name || '').trim().toLowerCase();
+      const standard = Object.keys(OVERHEAD_LINES).find(key => OVERHEAD_LINES[key].toLowerCase() === text);
+      return standard || text.replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    },
+
+    /**
+     * Display label of an overhead line key
+     */
+    overheadLineLabel(key) {
+      if (OVERHEAD_LINES[key]) return OVERHEAD_LINES[key];
+      const text = String(key).replace(/_/g, ' ');
+      return text.charAt(0).toUpperCase() + text.slice(1);
+    },
+
+    /**
+     * Monthly cost lines of a location's overhead object
+     * Returns [{ key, label, amount }]; fields that are not numbers are skipped
+     */
+    getOverheadLines(overhead) {
+      return Object.keys(overhead || {})
+        .filter(key => overhead[key] !== null && overhead[key] !== '' && !isNaN(parseFloat(overhead[key])))
+        .map(key => ({ key, label: this.overheadLineLabel(key), amount: parseFloat(overhead[key]) }));
+    },
+
+    /**
+     * Sum every monthly overhead line for the location a recipe category is produced in
+     */
+    getMonthlyOverhead(category, context) {
+      return this.getLocationOverhead(this.getLocation(category), context);
+    },
+
+    /**
+     * Monthly payroll allocated to the location that produces a recipe category
+     */
+    getMonthlyPayroll(category, context) {
+      return this.getLocationPayroll(this.getLocation(category), context);
+    },
+
+    /**
+     * Sum every monthly overhead line of a location
+     */
+    getLocationOverhead(locationId, context) {
+      const location = context.locations[locationId];
+      return location ? this.getOverheadLines(location.overhead).reduce((sum, line) => sum + line.amount, 0) : 0;
+    },
+
+    /**
+     * Monthly payroll of a location
+     * Staff assigned to the location count in full; unassigned staff fall to the built-in location of
+     * their department, with shared staff split by sharedPayrollSplit
+     */
+    getLocationPayroll(locationId, context) {
+      const location = context.locations[locationId];
+      if (!location) return 0;
+      const department = location.department;
+      const sharedShare = department ? (parseFloat(context.settings.sharedPayrollSplit[department]) || 0) / 100 : 0;
+
+      return Object.values(context.staff).reduce((sum, s) => {
+        const salary = parseFloat(s.salary) || 0;
+        const assigned = s.locationId !== undefined ? s.locationId : s.location;
+        if (assigned && context.locations[assigned]) return assigned === locationId ? sum + salary : sum;
+        if (!department) return sum;
+        if (s.department === department) return sum + salary;
+        if (s.department === 'shared') return sum + salary * sharedShare;
+        return sum;
+      }, 0);
+    },
+
+    /**
+     * Weight of one batch in kg, from the mass/volume ingredient lines
+     * Count and pack units have no weight and are ignored
+     */
+    getItemWeightKg(r, context) {
+      const Units = window.Costing.Units;
+      return r.lines.reduce((sum, line) => {
+        const ingredient = context.ingredients[line.ingredientId];
+        const unit = line.unit || this.getPurchaseUnit(line, context);
+        const density = (ingredient && ingredient.density) || DEFAULT_DENSITY;
+        return sum + (Units.convert(line.quantity, unit, 'kg', density) || 0);
+      }, 0);
+    },
+
+    /**
+     * Batch weight in kg: the recorded batch weight, else the weight of the ingredient lines
+     */
+    getBatchWeightKg(r, context) {
+      if (r.isBox) return r.boxItems.reduce((sum, item) => sum + item.weightKg, 0);
+      return r.batchWeightKg > 0 ? r.batchWeightKg : this.getItemWeightKg(r, context);
+    },
+
+    /**
+     * Number of sale units one batch of a normalized recipe makes
+     */
+    getUnitsPerBatch(r, context) {
+      const unit = SALE_UNITS[r.saleUnit];
+      if (unit.count) {
+        if (r.batchCount > 0) return r.batchCount;
+        // Pieces of a known weight: as many as the batch weighs
+        const pieces = r.saleUnit === 'piece' && r.pieceWeightKg > 0 ? this.getBatchWeightKg(r, context) / r.pieceWeightKg : 0;
+        return pieces > 0 ? pieces : 1;
+      }
+      if (unit.kg) {
+        const units = this.getBatchWeightKg(r, context) / unit.kg;
+        return units > 0 ? units : 1;
+      }
+      return 1;
+    },
+
+    /**
+     * Weight in kg of one sale unit
+     */
+    getSaleUnitWeightKg(r, context) {
+      const unit = SALE_UNITS[r.saleUnit];
+      if (unit.kg) return unit.kg;
+      if (r.saleUnit === 'piece' && r.pieceWeightKg > 0) return r.pieceWeightKg;
+      return this.getBatchWeightKg(r, context) / this.getUnitsPerBatch(r, context);
+    },
+
+    /**
+     * Price per kg of a normalized recipe: the quoted price per kg, else the selling price over the sale unit's weight
+     */
+    getPricePerKg(r, context) {
+      if (r.pricePerKg > 0) return r.pricePerKg;
+      const weight = this.getSaleUnitWeightKg(r, context);
+      return weight > 0 ? r.sellingPrice / weight : 0;
+    },
+
+    /**
+     * Making cost of one kg of a recipe without its own packaging (what assorted boxes are filled with)
+     * Returns { raw, wastage, labour, utilities } per kg; all zero when the recipe has no weight
+     */
+    getCostPerKg(recipe, context) {
+      const r = this.normalizeRecipe(recipe);
+      const weight = this.getSaleUnitWeightKg(r, context);
+      const breakdown = this.computeBreakdown(recipe, context);
+      const perKg = value => (weight > 0 ? value / weight : 0);
+      return {
+        raw: perKg(breakdown.raw),
+        wastage: perKg(breakdown.wastage),
+        labour: perKg(breakdown.labour),
+        utilities: perKg(breakdown.utilities)
+      };
+    },
+
+    /**
+     * Per-sale-unit weight of a recipe under an allocation basis
+     */
+    getAllocationWeight(basis, r, context) {
+      if (basis === 'per_kg') return this.getSaleUnitWeightKg(r, context);
+      if (basis === 'revenue_share') return r.sellingPrice;
+      return 1;
+    },
+
+    /**
+     * Share a location's daily overhead onto one sale unit of a recipe
+     * dailyVolume counts sale units; the recipe competes with every other recipe produced at the same location
+     */
+    allocateDailyOverhead(dailyOverhead, recipe, r, context) {
+      const location = this.getRecipeLocation(r, context);
+      const basis = context.settings.allocationBasis;
+
+      const peers = Object.values(context.recipes)
+        .filter(p => p !== recipe && !(p.id && p.id === recipe.id))
+        .map(p => this.normalizeRecipe(p))
+        .filter(p => !p.isPreparation && !p.isBox && this.getRecipeLocation(p, context) === location);
+      peers.push(r);
+
+      const totalFor = (b) => peers.reduce((sum, p) => sum + this.getAllocationWeight(b, p, context) * Math.max(1, p.dailyVolume), 0);
+
+      let total = totalFor(basis);
+      let own = this.getAllocationWeight(basis, r, context);
+      if (total <= 0) {
+        // Nothing to weigh by (no weights or prices yet): fall back to units produced
+        total = totalFor('per_unit');
+        own = 1;
+      }
+      return dailyOverhead * own / total;
+    },
+
+    /**
+     * Packaging and consumables cost of one sale unit
+     * Per-batch items (a foil tray for the whole batch) are spread over the batch's sale units
+     */
+    getPackagingCost(r, context, unitsPerBatch) {
+      return r.packaging.reduce((sum, line) => {
+        const item = context.packaging[line.packagingId];
+        const cost = item ? (item.cost !== undefined ? item.cost : item.cost_per_unit) : line.livePrice;
+        const quantity = line.per === 'batch' ? line.quantity / unitsPerBatch : line.quantity;
+        return sum + quantity * (parseFloat(cost) || 0);
+      }, 0);
+    },
+
+    /**
+     * Compute the itemised cost breakdown for a single recipe, per sale unit
+     * Returns { raw, wastage, labour, utilities, packaging, total, saleUnit, unitsPerBatch }
+     * Preparations are costed per batch (see getPreparationUnitCost for per yield unit), assorted boxes per box
+     */
+    computeBreakdown(recipe, context) {
+      const r = this.normalizeRecipe(recipe);
+
+      const material = this.computeMaterialCost(r, context, recipe.id ? [recipe.id] : []);
+
+      // Preparations only carry material cost; overhead lands on the dishes that use them
+      if (r.isPreparation) {
+        const { raw, wastage } = material;
+        return { raw, wastage, labour: 0, utilities: 0, packaging: 0, total: raw + wastage, saleUnit: 'item', unitsPerBatch: 1 };
+      }
+
+      // Boxes carry the per-kg cost of the sweets in them (their overhead included) plus the box's own packaging
+      if (r.isBox) {
+        const cost = { raw: 0, wastage: 0, labour: 0, utilities: 0 };
+        r.boxItems.forEach(item => {
+          const sweet = context.recipes[item.recipeId];
+          if (!sweet || this.normalizeRecipe(sweet).isBox) return;
+          const perKg = this.getCostPerKg(sweet, context);
+          Object.keys(cost).forEach(key => { cost[key] += perKg[key] * item.weightKg; });
+        });
+        const packaging = this.getPackagingCost(r, context, 1);
+        return {
+          ...cost,
+          packaging,
+          total: cost.raw + cost.wastage + cost.labour + cost.utilities + packaging,
+          saleUnit: 'item',
+          unitsPerBatch: 1
+        };
+      }
+
+      // Ingredient lines describe a whole batch; costs are reported per sale unit
+      const unitsPerBatch = this.getUnitsPerBatch(r, context);
+      const raw = material.raw / unitsPerBatch;
+      const wastage = material.wastage / unitsPerBatch;
+
+      // Spread monthly overhead over working days, then across the location's production
+      const settings = context.settings;
+      const location = this.getRecipeLocation(r, context);
+      const monthlyOverhead = this.getLocationOverhead(location, context) + this.getLocationPayroll(location, context);
+      const dailyOverhead = monthlyOverhead / Math.max(1, parseFloat(settings.workingDaysPerMonth) || 1);
+      const perItemOverhead = this.allocateDailyOverhead(dailyOverhead, recipe, r, context);
+
+      // Custom locations use the labour/utilities split of the built-in location of their kind
+      const split = settings.overheadSplit[location]
+        || settings.overheadSplit[context.locations[location].kind === 'kitchen' ? 'factory' : 'shop'];
+      const labour = perItemOverhead * (parseFloat(split.labour) || 0) / 100;
+      const utilities = perItemOverhead * (parseFloat(split.utilities) || 0) / 100;
+      const packaging = this.getPackagingCost(r, context, unitsPerBatch);
+
+      return {
+        raw,
+        wastage,
+        labour,
+        utilities,
+        packaging,
+        total: raw + wastage + labour + utilities + packaging,
+        saleUnit: r.saleUnit,
+        unitsPerBatch
+      };
+    },
+
+    /**
+     * Profit as a percentage of selling price
+     */
+    profitPercent(sellingPrice, totalCost) {
+      const price = parseFloat(sellingPrice) || 0;
+      return price ? ((price - totalCost) / price) * 100 : 0;
+    }
+  };
+
+  console.log('✅ Costing.Engine module loaded');
+})();
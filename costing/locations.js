@@ -0,0 +1,88 @@
+// Locations
+// Outlets and kitchens: which recipes each outlet sells, outlet prices and profit per location
+
+(function() {
+  'use strict';
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Locations = {
+    /**
+     * Locations of the context, optionally of one kind ('outlet' / 'kitchen'), built-in first then by name
+     * Returns [{ id, name, kind, department, overhead, builtIn }]
+     */
+    list(context, kind = null) {
+      return Object.values(context.locations)
+        .filter(location => !kind || location.kind === kind)
+        .sort((a, b) => (b.builtIn - a.builtIn) || String(a.name).localeCompare(String(b.name)));
+    },
+
+    /**
+     * Display name of a location id (unknown ids are shown as they are)
+     */
+    getName(locationId, context) {
+      const location = context.locations[locationId];
+      return location ? location.name : String(locationId || '');
+    },
+
+    /**
+     * Outlets a recipe is sold at; a recipe without outlets of its own is sold at every outlet
+     */
+    getOutlets(recipe, context) {
+      const outlets = window.Costing.Engine.normalizeRecipe(recipe).outlets;
+      const listed = Object.keys(outlets).filter(id => context.locations[id]);
+      return listed.length ? listed : this.list(context, 'outlet').map(location => location.id);
+    },
+
+    /**
+     * Whether a recipe is sold at an outlet
+     */
+    isAvailableAt(recipe, locationId, context) {
+      return this.getOutlets(recipe, context).includes(locationId);
+    },
+
+    /**
+     * Selling price of a recipe at an outlet: the outlet's own price, else the recipe's selling price
+     */
+    getOutletPrice(recipe, locationId) {
+      const r = window.Costing.Engine.normalizeRecipe(recipe);
+      const outlet = r.outlets[locationId];
+      return outlet && outlet.price !== null ? outlet.price : r.sellingPrice;
+    },
+
+    /**
+     * Profit per location over a period from the sales ledger (YYYY-MM-DD, inclusive)
+     * Each location carries its fixed costs for every trading day (a day with any sales),
+     * so kitchens that sell nothing still show what they cost; sales of deleted locations count at the shop
+     * Returns { rows: [{ locationId, name, kind, quantity, revenue, cogs, grossProfit, fixedCost, netProfit }],
+     *           total, days }
+     */
+    profitByLocation(entries, context, { from = null, to = null } = {}) {
+      const Sales = window.Costing.Sales;
+      const sales = Object.values(entries || {})
+        .map(e => Sales.normalizeEntry(e))
+        .filter(e => e.date && (!from || e.date >= from) && (!to || e.date <= to));
+      const days = new Set(sales.map(e => e.date)).size;
+
+      const rows = this.list(context).map(location => {
+        const row = { locationId: location.id, name: location.name, kind: location.kind, quantity: 0, revenue: 0, cogs: 0 };
+        sales.filter(e => (context.locations[e.locationId] ? e.locationId : Sales.DEFAULT_LOCATION) === location.id).forEach(e => {
+          row.quantity += e.quantity;
+          row.revenue += e.quantity * e.unitPrice;
+          row.cogs += e.quantity * e.unitCost;
+        });
+        row.grossProfit = row.revenue - row.cogs;
+        row.fixedCost = Sales.getDailyFixedCost(context, location.id) * days;
+        row.netProfit = row.grossProfit - row.fixedCost;
+        return row;
+      });
+
+      const total = ['quantity', 'revenue', 'cogs', 'grossProfit', 'fixedCost', 'netProfit']
+        .reduce((sum, key) => ({ ...sum, [key]: rows.reduce((t, row) => t + row[key], 0) }), {});
+
+      return { rows, total, days };
+    }
+  };
+
+  console.log('✅ Costing.Locations module loaded');
+})();
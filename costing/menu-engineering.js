@@ -0,0 +1,106 @@
+// Menu Engineering
+// Classifies dishes by popularity and contribution margin (Stars, Plowhorses, Puzzles, Dogs)
+
+(function() {
+  'use strict';
+
+  // Quadrants with the action suggested for each
+  const CLASSES = {
+    star: { label: 'Star', icon: '⭐', action: 'Keep: hold price and quality, give it the best menu spot' },
+    plowhorse: { label: 'Plowhorse', icon: '🐴', action: 'Reprice or cut portion/ingredient cost' },
+    puzzle: { label: 'Puzzle', icon: '🧩', action: 'Promote: better placement, staff upsell, combos' },
+    dog: { label: 'Dog', icon: '🐶', action: 'Drop or rework the recipe' }
+  };
+
+  // A dish is popular when its share of units sold reaches 70% of an equal share (1 / number of dishes)
+  const POPULARITY_FACTOR = 0.7;
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.MenuEngineering = {
+    CLASSES,
+    POPULARITY_FACTOR,
+
+    /**
+     * Quadrant of a dish from its two tests
+     */
+    classOf(popular, profitable) {
+      if (popular) return profitable ? 'star' : 'plowhorse';
+      return profitable ? 'puzzle' : 'dog';
+    },
+
+    /**
+     * Units sold per recipe from sales entries between two dates (inclusive), at one outlet or all
+     */
+    unitsSold(entries, { from = null, to = null, locationId = null } = {}) {
+      const units = {};
+      Object.values(entries || {}).map(e => window.Costing.Sales.normalizeEntry(e)).forEach(e => {
+        if (!e.recipeId || (from && e.date < from) || (to && e.date > to)) return;
+        if (locationId && e.locationId !== locationId) return;
+        units[e.recipeId] = (units[e.recipeId] || 0) + e.quantity;
+      });
+      return units;
+    },
+
+    /**
+     * Menu engineering analysis of the dishes of one category (or all with category null)
+     * Volume is units sold in the period; without any sales it falls back to planned daily volume
+     * Contribution is selling price less material, wastage and packaging from the costing engine
+     * With an outlet only the dishes sold there count, at the outlet's prices
+     * Returns { basis: 'sales' | 'planned', items: [{ id, name, category, units, mix, contribution,
+     *           totalContribution, popular, profitable, class, action }], popularityThreshold, averageContribution }
+     */
+    analyze(context, entries, { category = null, from = null, to = null, locationId = null } = {}) {
+      const Engine = window.Costing.Engine;
+      const Locations = window.Costing.Locations;
+      const sold = this.unitsSold(entries, { from, to, locationId });
+
+      const ids = Object.keys(context.recipes).filter(id => {
+        const r = Engine.normalizeRecipe(context.recipes[id]);
+        if (locationId && !Locations.isAvailableAt(context.recipes[id], locationId, context)) return false;
+        return !r.isPreparation && (!category || r.category === category);
+      });
+      const basis = ids.some(id => sold[id] > 0) ? 'sales' : 'planned';
+
+      const items = ids.map(id => {
+        const recipe = context.recipes[id];
+        const r = Engine.normalizeRecipe(recipe);
+        const variableCost = window.Costing.BreakEven.getVariableCost(Engine.computeBreakdown(recipe, context));
+        const units = basis === 'sales' ? (sold[id] || 0) : Math.max(1, r.dailyVolume);
+        const price = locationId ? Locations.getOutletPrice(recipe, locationId) : r.sellingPrice;
+        return {
+          id,
+          name: recipe.name,
+          category: r.category,
+          units,
+          contribution: price - variableCost,
+          totalContribution: (price - variableCost) * units
+        };
+      });
+
+      const totalUnits = items.reduce((sum, item) => sum + item.units, 0);
+      const popularityThreshold = items.length ? (100 / items.length) * POPULARITY_FACTOR : 0;
+      // Average contribution weighted by units, so the benchmark is what the menu earns per dish sold
+      const averageContribution = totalUnits
+        ? items.reduce((sum, item) => sum + item.totalContribution, 0) / totalUnits
+        : 0;
+
+      items.forEach(item => {
+        item.mix = totalUnits ? (item.units / totalUnits) * 100 : 0;
+        item.popular = item.mix >= popularityThreshold;
+        item.profitable = item.contribution >= averageContribution;
+        item.class = this.classOf(item.popular, item.profitable);
+        item.action = CLASSES[item.class].action;
+      });
+
+      return {
+        basis,
+        items: items.sort((a, b) => b.totalContribution - a.totalContribution),
+        popularityThreshold,
+        averageContribution
+      };
+    }
+  };
+
+  console.log('✅ Costing.MenuEngineering module loaded');
+})();
@@ -0,0 +1,91 @@
+// Pricing Assistant
+// Suggests selling prices from cost and a target margin or markup, with GST and rounding rules
+
+(function() {
+  'use strict';
+
+  // GST slabs applicable to food items, in %
+  const GST_SLABS = [0, 5, 12, 18];
+
+  // Rounding applied to the menu price the customer pays (incl. GST)
+  // Prices always round up, so a rounded price never falls below the target margin
+  const ROUNDING_RULES = {
+    none: 'No rounding',
+    nearest_1: 'Round up to ₹1',
+    nearest_5: 'Round up to ₹5',
+    nearest_10: 'Round up to ₹10',
+    ending_9: 'Ending in 9 (₹149, ₹249)'
+  };
+
+  const PRICING_BASES = {
+    margin: 'Target margin %',
+    markup: 'Markup % on cost'
+  };
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Pricing = {
+    GST_SLABS,
+    ROUNDING_RULES,
+    PRICING_BASES,
+
+    /**
+     * Apply a rounding rule to a price (up to the next ₹1/₹5/₹10, or the next price ending in 9)
+     */
+    round(amount, rule) {
+      const value = parseFloat(amount) || 0;
+      if (value <= 0) return 0;
+      // Trim float noise (91.50000000000001) before rounding up
+      const cents = Math.round(value * 100) / 100;
+      switch (rule) {
+        case 'nearest_1': return Math.ceil(cents);
+        case 'nearest_5': return Math.ceil(cents / 5) * 5;
+        case 'nearest_10': return Math.ceil(cents / 10) * 10;
+        case 'ending_9': return Math.ceil((cents + 1) / 10) * 10 - 1;
+        default: return cents;
+      }
+    },
+
+    /**
+     * Net price (ex-GST) that gives a target margin or markup on a cost
+     */
+    netPriceFor(cost, basis, value) {
+      const c = parseFloat(cost) || 0;
+      const v = parseFloat(value) || 0;
+      if (basis === 'markup') return c * (1 + v / 100);
+      if (v >= 100) {
+        const error = new Error('Target margin must be below 100%');
+        error.code = 'INVALID_MARGIN';
+        error.field = 'margin';
+        throw error;
+      }
+      return c / (1 - v / 100);
+    },
+
+    /**
+     * Suggest a price for a cost
+     * Returns { netPrice, gst, grossPrice, menuPrice, sellingPrice, margin }:
+     * menuPrice is the rounded price incl. GST; sellingPrice is its ex-GST part, which is
+     * what the app stores and computes margins on
+     */
+    suggest({ cost, basis = 'margin', value, gstRate = 0, rounding = 'none' }) {
+      const netPrice = this.netPriceFor(cost, basis, value);
+      const rate = (parseFloat(gstRate) || 0) / 100;
+      const gst = netPrice * rate;
+      const grossPrice = netPrice + gst;
+      const menuPrice = this.round(grossPrice, rounding);
+      const sellingPrice = menuPrice / (1 + rate);
+
+      return {
+        netPrice,
+        gst,
+        grossPrice,
+        menuPrice,
+        sellingPrice,
+        margin: window.Costing.Engine.profitPercent(sellingPrice, cost)
+      };
+    }
+  };
+
+  console.log('✅ Costing.Pricing module loaded');
+})();
@@ -0,0 +1,115 @@
+// Production Log
+// Actual batch output against the recipe's expected yield and standard wastage %
+
+(function() {
+  'use strict';
+
+  // A recipe is flagged when at least this share of its logged runs (and MIN_RUNS or more) exceed standard wastage
+  const MIN_RUNS = 3;
+  const EXCEED_SHARE = 0.5;
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Production = {
+    MIN_RUNS,
+    EXCEED_SHARE,
+
+    /**
+     * Normalize a production run from either the local (camelCase) or database (snake_case) shape
+     */
+    normalizeEntry(entry = {}) {
+      const staff = entry.staffIds || entry.staff_ids ||
+        (entry.production_shift_staff || []).map(s => s.staff_id);
+      return {
+        id: entry.id,
+        date: String(entry.date || entry.production_date || '').slice(0, 10),
+        recipeId: entry.recipeId !== undefined ? entry.recipeId : entry.recipe_id,
+        batches: parseFloat(entry.batches) || 0,
+        actualYield: parseFloat(entry.actualYield !== undefined ? entry.actualYield : entry.actual_yield) || 0,
+        wasted: parseFloat(entry.wasted !== undefined ? entry.wasted : entry.wasted_quantity) || 0,
+        staffIds: staff || [],
+        // Where the batch was made; null is the recipe's own production location
+        locationId: entry.locationId || entry.location || null,
+        notes: entry.notes || ''
+      };
+    },
+
+    /**
+     * Expected output of one batch: sale units for dishes, yield quantity for preparations
+     * Returns { quantity, unit }
+     */
+    getExpectedYield(recipe, context) {
+      const Engine = window.Costing.Engine;
+      const r = Engine.normalizeRecipe(recipe);
+      if (r.isPreparation) return { quantity: r.yieldQuantity, unit: r.yieldUnit };
+      return { quantity: Engine.getUnitsPerBatch(r, context), unit: Engine.SALE_UNITS[r.saleUnit].short };
+    },
+
+    /**
+     * Compare one production run with its recipe
+     * Actual wastage % is the wasted quantity over everything made (yield + wasted)
+     * Returns { expected, actual, unit, yieldPercent, wastagePercent, standardWastage, overStandard }
+     */
+    evaluate(entry, context) {
+      const e = this.normalizeEntry(entry);
+      const recipe = context.recipes[e.recipeId];
+      if (!recipe) return null;
+
+      const perBatch = this.getExpectedYield(recipe, context);
+      const expected = perBatch.quantity * e.batches;
+      const made = e.actualYield + e.wasted;
+      const wastagePercent = made ? (e.wasted / made) * 100 : 0;
+      const standardWastage = window.Costing.Engine.normalizeRecipe(recipe).wastagePct;
+
+      return {
+        expected,
+        actual: e.actualYield,
+        unit: perBatch.unit,
+        yieldPercent: expected ? (e.actualYield / expected) * 100 : 0,
+        wastagePercent,
+        standardWastage,
+        overStandard: wastagePercent > standardWastage
+      };
+    },
+
+    /**
+     * Planned versus actual output per recipe between two dates (inclusive)
+     * Returns [{ recipeId, name, unit, runs, batches, expected, actual, yieldPercent,
+     *            wastagePercent, standardWastage, overRuns, flagged }], flagged recipes first
+     */
+    summarize(entries, context, { from = null, to = null } = {}) {
+      const recipes = {};
+      Object.values(entries || {}).forEach(entry => {
+        const e = this.normalizeEntry(entry);
+        if ((from && e.date < from) || (to && e.date > to)) return;
+        const result = this.evaluate(e, context);
+        if (!result) return;
+
+        const row = recipes[e.recipeId] || (recipes[e.recipeId] = {
+          recipeId: e.recipeId,
+          name: context.recipes[e.recipeId].name,
+          unit: result.unit,
+          standardWastage: result.standardWastage,
+          runs: 0, batches: 0, expected: 0, actual: 0, wasted: 0, overRuns: 0
+        });
+        row.runs++;
+        row.batches += e.batches;
+        row.expected += result.expected;
+        row.actual += result.actual;
+        row.wasted += e.wasted;
+        if (result.overStandard) row.overRuns++;
+      });
+
+      return Object.values(recipes)
+        .map(row => ({
+          ...row,
+          yieldPercent: row.expected ? (row.actual / row.expected) * 100 : 0,
+          wastagePercent: (row.actual + row.wasted) ? (row.wasted / (row.actual + row.wasted)) * 100 : 0,
+          flagged: row.runs >= MIN_RUNS && row.overRuns / row.runs >= EXCEED_SHARE
+        }))
+        .sort((a, b) => (b.flagged - a.flagged) || (b.wastagePercent - b.standardWastage) - (a.wastagePercent - a.standardWastage));
+    }
+  };
+
+  console.log('✅ Costing.Production module loaded');
+})();
@@ -0,0 +1,130 @@
+// Purchasing
+// Supplier prices per ingredient, cheapest supplier, and purchase orders built from low stock
+
+(function() {
+  'use strict';
+
+  const PAYMENT_TERMS = {
+    cash: 'Cash on delivery',
+    net_7: '7 days credit',
+    net_15: '15 days credit',
+    net_30: '30 days credit'
+  };
+
+  const PO_STATUSES = {
+    draft: 'Draft',
+    sent: 'Sent',
+    // Claimed while its stock is booked (db/purchase-orders.js receive)
+    receiving: 'Receiving',
+    received: 'Received'
+  };
+
+  // GSTIN: 2-digit state code, 10-character PAN, entity number, 'Z', check character
+  const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+  // Low-stock items are ordered up to this multiple of their reorder level
+  const ORDER_UP_TO = 2;
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Purchasing = {
+    PAYMENT_TERMS,
+    PO_STATUSES,
+    ORDER_UP_TO,
+
+    /**
+     * Normalize and validate a GSTIN; empty is allowed (unregistered supplier)
+     */
+    parseGstin(gstin) {
+      const value = String(gstin || '').trim().toUpperCase();
+      if (value && !GSTIN_PATTERN.test(value)) {
+        const error = new Error('GSTIN must be 15 characters, e.g. 27AAPFU0939F1ZV');
+        error.code = 'INVALID_GSTIN';
+        error.field = 'gstin';
+        throw error;
+      }
+      return value;
+    },
+
+    /**
+     * Prices quoted for one ingredient, cheapest first
+     * suppliers: { id: { name, prices: { ingredientId: { price, updatedOn } } } }
+     * Returns [{ supplierId, name, price, updatedOn }]
+     */
+    getSupplierPrices(ingredientId, suppliers) {
+      return Object.keys(suppliers || {})
+        .map(id => {
+          const quote = (suppliers[id].prices || {})[ingredientId];
+          return quote ? { supplierId: id, name: suppliers[id].name, price: parseFloat(quote.price) || 0, updatedOn: quote.updatedOn } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.price - b.price);
+    },
+
+    /**
+     * Cheapest quote for an ingredient, or null when no supplier quotes it
+     */
+    getCheapestSupplier(ingredientId, suppliers) {
+      return this.getSupplierPrices(ingredientId, suppliers)[0] || null;
+    },
+
+    /**
+     * Draft order lines for low-stock items, grouped by their cheapest supplier
+     * Each item is ordered up to ORDER_UP_TO × its reorder level; items nobody quotes go under supplierId null
+     * Returns [{ supplierId, lines: [{ ingredientId, quantity, price }] }]
+     */
+    suggestOrders(lowStock, suppliers, ingredients) {
+      const groups = {};
+      lowStock.forEach(level => {
+        const target = level.reorderLevel * ORDER_UP_TO;
+        const quantity = target - level.inStock;
+        if (!(quantity > 0)) return;
+        const cheapest = this.getCheapestSupplier(level.ingredientId, suppliers);
+        const key = cheapest ? cheapest.supplierId : '';
+        const group = groups[key] || (groups[key] = { supplierId: cheapest ? cheapest.supplierId : null, lines: [] });
+        const ingredient = ingredients[level.ingredientId] || {};
+        group.lines.push({
+          ingredientId: level.ingredientId,
+          quantity: Math.ceil(quantity * 1000) / 1000,
+          price: cheapest ? cheapest.price : (parseFloat(ingredient.price) || 0)
+        });
+      });
+      return Object.values(groups);
+    },
+
+    /**
+     * Next purchase order number (PO-0001, PO-0002, ...)
+     */
+    nextNumber(orders) {
+      const last = Object.values(orders || {})
+        .map(order => parseInt(String(order.number || '').replace(/\D/g, ''), 10) || 0)
+        .reduce((max, n) => Math.max(max, n), 0);
+      return `PO-${String(last + 1).padStart(4, '0')}`;
+    },
+
+    /**
+     * Order value (quantity × price over all lines)
+     */
+    orderTotal(order) {
+      return (order.lines || []).reduce((sum, line) => sum + (parseFloat(line.quantity) || 0) * (parseFloat(line.price) || 0), 0);
+    },
+
+    /**
+     * Plain-text purchase order for sharing (WhatsApp, SMS, email)
+     */
+    formatOrderText(order, supplier, ingredients) {
+      const lines = (order.lines || []).map((line, i) => {
+        const ingredient = ingredients[line.ingredientId] || { name: 'Unknown', unit: '' };
+        return `${i + 1}. ${ingredient.name}: ${line.quantity} ${ingredient.unit} @ ₹${(parseFloat(line.price) || 0).toFixed(2)}`;
+      });
+      const header = [`Purchase Order ${order.number}`, `Date: ${order.date}`];
+      if (supplier) {
+        header.push(`To: ${supplier.name}${supplier.gstin ? ` (GSTIN ${supplier.gstin})` : ''}`);
+        if (supplier.paymentTerms) header.push(`Payment: ${PAYMENT_TERMS[supplier.paymentTerms] || supplier.paymentTerms}`);
+      }
+      return [...header, '', ...lines, '', `Total: ₹${this.orderTotal(order).toFixed(2)}`].join('\n');
+    }
+  };
+
+  console.log('✅ Costing.Purchasing module loaded');
+})();
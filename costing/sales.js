@@ -0,0 +1,194 @@
+// Sales Ledger
+// Actual quantities sold per recipe and outlet: revenue, cost of goods and profit per day, POS CSV parsing
+
+(function() {
+  'use strict';
+
+  const DEFAULT_OUTLET = 'Main Shop';
+  // Location of entries recorded before outlets were locations
+  const DEFAULT_LOCATION = 'shop';
+
+  // Dates from POS exports: YYYY-MM-DD or DD/MM/YYYY (also DD-MM-YYYY)
+  function parseDate(text) {
+    const value = String(text || '').trim();
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) return toISO(match[1], match[2], match[3]);
+    match = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    if (match) return toISO(match[3], match[2], match[1]);
+    return null;
+  }
+
+  function toISO(year, month, day) {
+    const date = new Date(Date.UTC(+year, +month - 1, +day));
+    if (date.getUTCMonth() !== +month - 1 || date.getUTCDate() !== +day) return null;
+    return date.toISOString().slice(0, 10);
+  }
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Sales = {
+    DEFAULT_OUTLET,
+    DEFAULT_LOCATION,
+    parseDate,
+
+    /**
+     * Normalize a sales entry from either the local (camelCase) or database (snake_case) shape
+     */
+    normalizeEntry(entry = {}) {
+      return {
+        id: entry.id,
+        date: String(entry.date || entry.sale_date || '').slice(0, 10),
+        recipeId: entry.recipeId !== undefined ? entry.recipeId : entry.recipe_id,
+        name: entry.name || entry.item_name || '',
+        outlet: entry.outlet || DEFAULT_OUTLET,
+        locationId: entry.locationId || entry.location || DEFAULT_LOCATION,
+        quantity: parseFloat(entry.quantity) || 0,
+        unitPrice: parseFloat(entry.unitPrice !== undefined ? entry.unitPrice : entry.unit_price) || 0,
+        unitCost: parseFloat(entry.unitCost !== undefined ? entry.unitCost : entry.unit_cost) || 0,
+        source: entry.source || 'manual',
+        // POS import batch the entry came in with (null for manual entries)
+        importId: entry.importId || entry.import_id || null
+      };
+    },
+
+    /**
+     * Price and cost of goods (material, wastage, packaging) of one sale unit on a date
+     * Saved with each entry, so later price changes do not rewrite past profit
+     * With an outlet the outlet's own price is used
+     */
+    priceOn(recipe, date, context, locationId = null) {
+      const Engine = window.Costing.Engine;
+      const breakdown = Engine.computeBreakdownOn(recipe, date, context);
+      return {
+        unitPrice: locationId ? window.Costing.Locations.getOutletPrice(recipe, locationId) : Engine.normalizeRecipe(recipe).sellingPrice,
+        unitCost: window.Costing.BreakEven.getVariableCost(breakdown)
+      };
+    },
+
+    /**
+     * Fixed costs of one working day: overhead and payroll of one location, or of every location
+     */
+    getDailyFixedCost(context, locationId = null) {
+      const Engine = window.Costing.Engine;
+      const days = Math.max(1, parseFloat(context.settings.workingDaysPerMonth) || 1);
+      const monthly = (locationId ? [locationId] : Object.keys(context.locations))
+        .reduce((sum, id) => sum + Engine.getLocationOverhead(id, context) + Engine.getLocationPayroll(id, context), 0);
+      return monthly / days;
+    },
+
+    /**
+     * Revenue, cost of goods and profit per day, newest first
+     * entries: local map or database rows; { from, to } limit the dates (YYYY-MM-DD, inclusive)
+     * locationId limits the sales and fixed costs to one outlet
+     * Returns [{ date, quantity, revenue, cogs, grossProfit, fixedCost, netProfit }]
+     */
+    dailySummary(entries, context, { from = null, to = null, locationId = null } = {}) {
+      const fixedCost = this.getDailyFixedCost(context, locationId);
+      const days = {};
+      Object.values(entries || {}).map(e => this.normalizeEntry(e)).forEach(e => {
+        if (!e.date || (from && e.date < from) || (to && e.date > to)) return;
+        if (locationId && e.locationId !== locationId) return;
+        const day = days[e.date] || (days[e.date] = { date: e.date, quantity: 0, revenue: 0, cogs: 0 });
+        day.quantity += e.quantity;
+        day.revenue += e.quantity * e.unitPrice;
+        day.cogs += e.quantity * e.unitCost;
+      });
+      return Object.values(days)
+        .map(day => ({
+          ...day,
+          grossProfit: day.revenue - day.cogs,
+          fixedCost,
+          netProfit: day.revenue - day.cogs - fixedCost
+        }))
+        .sort((a, b) => b.date.localeCompare(a.date));
+    },
+
+    /**
+     * Totals over daily summaries, with the gross margin in %
+     */
+    totals(days) {
+      const sum = key => days.reduce((total, day) => total + day[key], 0);
+      const revenue = sum('revenue');
+      const grossProfit = sum('grossProfit');
+      return {
+        days: days.length,
+        quantity: sum('quantity'),
+        revenue,
+        cogs: sum('cogs'),
+        grossProfit,
+        netProfit: sum('netProfit'),
+        grossMargin: revenue ? (grossProfit / revenue) * 100 : 0
+      };
+    },
+
+    /**
+     * Parse a POS export: date,item,quantity[,amount][,outlet] per line; a header line is skipped
+     * Items are matched to recipes by name (case-insensitive); amount is the line total incl. all units
+     * Returns { rows: [{ date, recipeId, outlet, quantity, unitPrice }], errors: [] }
+     */
+    parseCsv(text, recipes) {
+      const byName = {};
+      Object.keys(recipes || {}).forEach(id => {
+        byName[String(recipes[id].name || '').trim().toLowerCase()] = id;
+      });
+
+      const rows = [];
+      const errors = [];
+      String(text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach((line, index) => {
+        const [dateText, item, quantityText, amountText, outlet] = line.split(',').map(s => s.trim());
+        if (index === 0 && !parseDate(dateText) && /date/i.test(dateText)) return;
+
+        const date = parseDate(dateText);
+        if (!date) { errors.push(`Line ${index + 1}: Invalid date "${dateText}"`); return; }
+        const recipeId = byName[String(item || '').toLowerCase()];
+        if (!recipeId) { errors.push(`Line ${index + 1}: No recipe named "${item}"`); return; }
+        const quantity = parseFloat(quantityText);
+        if (!(quantity > 0)) { errors.push(`Line ${index + 1}: Invalid quantity "${quantityText}"`); return; }
+        const amount = parseFloat(amountText);
+
+        rows.push({
+          date,
+          recipeId,
+          outlet: outlet || DEFAULT_OUTLET,
+          quantity,
+          // Without an amount the recipe's own selling price is used
+          unitPrice: amount >= 0 ? amount / quantity : null
+        });
+      });
+      return { rows, errors };
+    },
+
+    /**
+     * Entries about to be imported that repeat POS sales already imported for the same date, outlet and dish
+     */
+    findDuplicateImports(entries, incoming) {
+      const key = e => `${e.date}|${e.locationId}|${e.recipeId}`;
+      const imported = new Set(Object.values(entries || {})
+        .map(e => this.normalizeEntry(e))
+        .filter(e => e.source === 'pos_import')
+        .map(key));
+      return incoming.filter(e => imported.has(key(this.normalizeEntry(e))));
+    },
+
+    /**
+     * POS import batches in the ledger, latest sales first
+     * Returns [{ importId, rows, from, to, revenue }]
+     */
+    listImports(entries) {
+      const imports = {};
+      Object.values(entries || {})
+        .map(e => this.normalizeEntry(e))
+        .filter(e => e.source === 'pos_import' && e.importId)
+        .forEach(e => {
+          const batch = imports[e.importId] || (imports[e.importId] = { importId: e.importId, rows: 0, from: e.date, to: e.date, revenue: 0 });
+          batch.rows += 1;
+          batch.revenue += e.quantity * e.unitPrice;
+          if (e.date < batch.from) batch.from = e.date;
+          if (e.date > batch.to) batch.to = e.date;
+        });
+      return Object.values(imports).sort((a, b) => b.to.localeCompare(a.to));
+    }
+  };
+
+  console.log('✅ Costing.Sales module loaded');
+})();
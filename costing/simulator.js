@@ -0,0 +1,169 @@
+// What-if Price Simulator
+// Re-costs every recipe under hypothetical ingredient, overhead and salary changes without touching real data
+
+(function() {
+  'use strict';
+
+  // Scenario shape; all changes are percentages (+12 = 12% dearer, -5 = 5% cheaper)
+  // overheadChanges are keyed by location id: the built-in shop and factory plus any outlet or kitchen
+  const EMPTY_SCENARIO = {
+    name: '',
+    ingredientChanges: {},
+    overheadChanges: { shop: 0, factory: 0 },
+    salaryChangePct: 0
+  };
+
+  // Scale every numeric field of an object (overhead lines) by a factor
+  function scaleNumbers(obj, factor) {
+    const result = { ...(obj || {}) };
+    Object.keys(result).forEach(key => {
+      const value = parseFloat(result[key]);
+      if (!isNaN(value)) result[key] = value * factor;
+    });
+    return result;
+  }
+
+  const factorOf = pct => 1 + (parseFloat(pct) || 0) / 100;
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Simulator = {
+    EMPTY_SCENARIO,
+
+    /**
+     * Fill a stored scenario with defaults
+     */
+    normalizeScenario(scenario = {}) {
+      return {
+        ...EMPTY_SCENARIO,
+        ...scenario,
+        ingredientChanges: { ...(scenario.ingredientChanges || {}) },
+        overheadChanges: { ...EMPTY_SCENARIO.overheadChanges, ...(scenario.overheadChanges || {}) }
+      };
+    },
+
+    /**
+     * Copy of the app data with a scenario applied
+     * Ingredient changes scale both the live price and the price snapshots saved on recipe lines,
+     * so the simulation reacts the same way in snapshot and live pricing mode
+     */
+    applyScenario(data, scenario) {
+      const s = this.normalizeScenario(scenario);
+      const copy = JSON.parse(JSON.stringify({
+        ingredients: data.ingredients || {},
+        recipes: data.recipes || {},
+        staff: data.staff || {},
+        shop_overhead: data.shop_overhead || {},
+        factory_overhead: data.factory_overhead || {},
+        locations: data.locations || {}
+      }));
+      // Price history (local map or ingredient_price_history rows): a scheduled price in force
+      // replaces the ingredient's price (Engine.getCurrentPrice), so it is scaled too
+      const historyKey = data.priceHistory ? 'priceHistory' : (data.price_history ? 'price_history' : null);
+      if (historyKey) copy[historyKey] = JSON.parse(JSON.stringify(data[historyKey]));
+
+      Object.entries(s.ingredientChanges).forEach(([ingredientId, pct]) => {
+        const factor = factorOf(pct);
+        const ingredient = copy.ingredients[ingredientId];
+        if (ingredient) {
+          if (ingredient.price !== undefined) ingredient.price = (parseFloat(ingredient.price) || 0) * factor;
+          if (ingredient.price_per_unit !== undefined) ingredient.price_per_unit = (parseFloat(ingredient.price_per_unit) || 0) * factor;
+        }
+        Object.values(copy.recipes).forEach(recipe => {
+          (recipe.ingredients || []).forEach(line => {
+            const lineIngredientId = line.id !== undefined ? line.id : line.ingredient_id;
+            if (lineIngredientId !== ingredientId) return;
+            if (line.price !== undefined && line.price !== null) line.price = (parseFloat(line.price) || 0) * factor;
+            if (line.price_per_unit !== undefined) line.price_per_unit = (parseFloat(line.price_per_unit) || 0) * factor;
+          });
+        });
+        const history = Array.isArray(copy.price_history)
+          ? copy.price_history.filter(row => row.ingredient_id === ingredientId)
+          : Object.values((copy.priceHistory || {})[ingredientId] || {});
+        history.forEach(entry => {
+          if (entry.price !== undefined) entry.price = (parseFloat(entry.price) || 0) * factor;
+          if (entry.price_per_unit !== undefined) entry.price_per_unit = (parseFloat(entry.price_per_unit) || 0) * factor;
+        });
+      });
+
+      copy.shop_overhead = scaleNumbers(copy.shop_overhead, factorOf(s.overheadChanges.shop));
+      copy.factory_overhead = scaleNumbers(copy.factory_overhead, factorOf(s.overheadChanges.factory));
+      Object.values(copy.locations).forEach(location => {
+        if (location && location.id) location.overhead = scaleNumbers(location.overhead, factorOf(s.overheadChanges[location.id]));
+      });
+
+      const salaryFactor = factorOf(s.salaryChangePct);
+      Object.values(copy.staff).forEach(member => {
+        member.salary = (parseFloat(member.salary) || 0) * salaryFactor;
+      });
+
+      return { ...data, ...copy };
+    },
+
+    /**
+     * Cost and margin of every sellable recipe, now and under a scenario
+     * currentContext: today's valued costing context (Valuation.createContext), built from data when omitted
+     * Returns { rows: [{ id, name, sellingPrice, currentCost, simulatedCost, currentMargin, simulatedMargin, belowTarget }], belowTarget, targetMargin }
+     */
+    run(data, scenario, targetMargin, currentContext = window.Costing.Valuation.createContext(data, data.stock, data.production)) {
+      const Engine = window.Costing.Engine;
+      const s = this.normalizeScenario(scenario);
+      // Stock valued at weighted average / FIFO moves by the same factor as the ingredient's price
+      let valuedPrices = null;
+      if (currentContext.valuedPrices) {
+        valuedPrices = {};
+        Object.keys(currentContext.valuedPrices).forEach(id => {
+          valuedPrices[id] = currentContext.valuedPrices[id] * factorOf(s.ingredientChanges[id]);
+        });
+      }
+      const simulatedContext = { ...Engine.createContext(this.applyScenario(data, s)), valuedPrices };
+
+      const rows = Object.keys(data.recipes || {})
+        .filter(id => !Engine.normalizeRecipe(data.recipes[id]).isPreparation)
+        .map(id => {
+          const recipe = data.recipes[id];
+          const sellingPrice = Engine.normalizeRecipe(recipe).sellingPrice;
+          const currentCost = Engine.computeBreakdown(recipe, currentContext).total;
+          const simulatedCost = Engine.computeBreakdown(simulatedContext.recipes[id], simulatedContext).total;
+          const simulatedMargin = Engine.profitPercent(sellingPrice, simulatedCost);
+          return {
+            id,
+            name: recipe.name,
+            sellingPrice,
+            currentCost,
+            simulatedCost,
+            currentMargin: Engine.profitPercent(sellingPrice, currentCost),
+            simulatedMargin,
+            belowTarget: simulatedMargin < targetMargin
+          };
+        })
+        .sort((a, b) => a.simulatedMargin - b.simulatedMargin);
+
+      return {
+        rows,
+        belowTarget: rows.filter(row => row.belowTarget).length,
+        targetMargin
+      };
+    },
+
+    /**
+     * Margins of every recipe under several scenarios, for side-by-side comparison
+     * Returns [{ id, name, currentMargin, margins: [margin per scenario] }]
+     */
+    compare(data, scenarios, targetMargin, currentContext = window.Costing.Valuation.createContext(data, data.stock, data.production)) {
+      const runs = scenarios.map(scenario => this.run(data, scenario, targetMargin, currentContext));
+      const base = runs.length ? runs[0].rows : this.run(data, EMPTY_SCENARIO, targetMargin, currentContext).rows;
+      return base.map(row => ({
+        id: row.id,
+        name: row.name,
+        currentMargin: row.currentMargin,
+        margins: runs.map(result => {
+          const match = result.rows.find(r => r.id === row.id);
+          return match ? match.simulatedMargin : null;
+        })
+      }));
+    }
+  };
+
+  console.log('✅ Costing.Simulator module loaded');
+})();
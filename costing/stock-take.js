@@ -0,0 +1,184 @@
+// Stock Take
+// Physical stock counts per location and the variance between actual and theoretical usage
+
+(function() {
+  'use strict';
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.StockTake = {
+    /**
+     * Normalize a count sheet from either the local (camelCase) or database (snake_case) shape
+     * counts: { ingredientId: counted quantity in the ingredient's purchase unit }
+     */
+    normalizeCount(count = {}) {
+      let counts = count.counts || {};
+      if (Array.isArray(count.stock_count_lines)) {
+        counts = {};
+        count.stock_count_lines.forEach(line => { counts[line.ingredient_id] = parseFloat(line.counted_quantity) || 0; });
+      }
+      return {
+        id: count.id,
+        date: String(count.date || count.count_date || '').slice(0, 10),
+        location: count.location || window.Costing.Stock.DEFAULT_LOCATION,
+        counts,
+        note: count.note || ''
+      };
+    },
+
+    /**
+     * Dates with a count sheet (at one location, or any), newest first
+     */
+    getCountDates(stockCounts, location = null) {
+      const dates = new Set(Object.values(stockCounts || {})
+        .map(count => this.normalizeCount(count))
+        .filter(count => !location || count.location === location)
+        .map(count => count.date));
+      return [...dates].sort((a, b) => b.localeCompare(a));
+    },
+
+    /**
+     * Add the ingredients of `batches` batches of a recipe to a usage map
+     * Preparation lines are exploded into their own ingredients unless the preparation
+     * was produced (logged) in the period, in which case its production accounts for them
+     * Assorted boxes use the sweets in them by weight, on the same terms
+     */
+    addRecipeUsage(usage, recipeId, batches, context, produced, stack = []) {
+      const Engine = window.Costing.Engine;
+      const recipe = context.recipes[recipeId];
+      if (!recipe || stack.includes(recipeId)) return;
+
+      const r = Engine.normalizeRecipe(recipe);
+      if (r.isBox) {
+        r.boxItems.forEach(item => {
+          const sweet = context.recipes[item.recipeId];
+          if (!sweet || produced[item.recipeId]) return;
+          const batchWeight = Engine.getBatchWeightKg(Engine.normalizeRecipe(sweet), context);
+          if (batchWeight > 0) this.addRecipeUsage(usage, item.recipeId, item.weightKg * batches / batchWeight, context, produced, stack.concat(recipeId));
+        });
+        return;
+      }
+
+      r.lines.forEach(line => {
+        const quantity = Engine.getLineQuantity(line, context) * batches;
+        if (line.recipeId) {
+          const preparation = context.recipes[line.recipeId];
+          if (!preparation || produced[line.recipeId]) return;
+          const prepBatches = quantity / Engine.normalizeRecipe(preparation).yieldQuantity;
+          this.addRecipeUsage(usage, line.recipeId, prepBatches, context, produced, stack.concat(recipeId));
+          return;
+        }
+        if (!context.ingredients[line.ingredientId]) return;
+        usage[line.ingredientId] = (usage[line.ingredientId] || 0) + quantity;
+      });
+    },
+
+    /**
+     * Theoretical usage per location between two dates (after `from`, up to and including `to`)
+     * Recipes logged in the production log use their batches; other recipes use units sold
+     * Returns { location: { ingredientId: quantity in purchase unit } }
+     */
+    getTheoreticalUsage(production, sales, context, { from, to }) {
+      const Engine = window.Costing.Engine;
+      const inPeriod = date => date > from && date <= to;
+      const produced = {};
+      const runs = [];
+      const sold = {};
+      Object.values(production || {})
+        .map(entry => window.Costing.Production.normalizeEntry(entry))
+        .filter(run => inPeriod(run.date) && context.recipes[run.recipeId])
+        .forEach(run => {
+          produced[run.recipeId] = (produced[run.recipeId] || 0) + run.batches;
+          runs.push(run);
+        });
+      Object.values(sales || {})
+        .map(entry => window.Costing.Sales.normalizeEntry(entry))
+        .filter(sale => sale.recipeId && inPeriod(sale.date))
+        .forEach(sale => { sold[sale.recipeId] = (sold[sale.recipeId] || 0) + sale.quantity; });
+
+      const usage = {};
+      const add = (recipeId, batches, location) => {
+        this.addRecipeUsage(usage[location] = usage[location] || {}, recipeId, batches, context, produced);
+      };
+      // Logged batches are used where they were made; sold dishes at their recipe's location
+      runs.forEach(run => {
+        const location = run.locationId || Engine.getRecipeLocation(Engine.normalizeRecipe(context.recipes[run.recipeId]), context);
+        add(run.recipeId, run.batches, location);
+      });
+      Object.keys(sold).filter(recipeId => !produced[recipeId] && context.recipes[recipeId]).forEach(recipeId => {
+        const r = Engine.normalizeRecipe(context.recipes[recipeId]);
+        add(recipeId, sold[recipeId] / Engine.getUnitsPerBatch(r, context), Engine.getRecipeLocation(r, context));
+      });
+      return usage;
+    },
+
+    /**
+     * Variance between two stock takes, per ingredient counted on both dates
+     * Actual usage = opening + purchases and adjustments − closing; theoretical usage comes from
+     * recipes × batches produced or units sold; variance is what recorded wastage does not explain
+     * location null combines every location counted on both dates
+     * Returns { rows: [{ ingredientId, name, unit, opening, received, closing, actual, theoretical,
+     * wasted, variance, variancePct, unitCost, varianceValue }], totals, locations }, worst ₹ variance first
+     */
+    variance(stockCounts, movements, production, sales, context, { openingDate, closingDate, location = null, method = 'latest' }) {
+      const Stock = window.Costing.Stock;
+      const sheets = Object.values(stockCounts || {}).map(count => this.normalizeCount(count));
+      const theoretical = this.getTheoreticalUsage(production, sales, context, { from: openingDate, to: closingDate });
+      const moves = Object.values(movements || {})
+        .map(m => Stock.normalizeMovement(m))
+        .filter(m => m.date > openingDate && m.date <= closingDate);
+
+      const rows = {};
+      const counted = [];
+      (location ? [location] : Object.keys(context.locations)).forEach(loc => {
+        const opening = sheets.find(sheet => sheet.date === openingDate && sheet.location === loc);
+        const closing = sheets.find(sheet => sheet.date === closingDate && sheet.location === loc);
+        if (!opening || !closing) return;
+        counted.push(loc);
+
+        Object.keys(closing.counts)
+          .filter(id => opening.counts[id] !== undefined && context.ingredients[id])
+          .forEach(id => {
+            const row = rows[id] || (rows[id] = { opening: 0, received: 0, closing: 0, wasted: 0, theoretical: 0 });
+            moves.filter(m => m.ingredientId === id && m.location === loc).forEach(m => {
+              if (m.type === 'wastage') row.wasted += Math.abs(m.quantity);
+              else row.received += Stock.signedQuantity(m);
+            });
+            row.opening += opening.counts[id];
+            row.closing += closing.counts[id];
+            row.theoretical += (theoretical[loc] || {})[id] || 0;
+          });
+      });
+
+      const result = Object.keys(rows).map(id => {
+        const row = rows[id];
+        const actual = row.opening + row.received - row.closing;
+        const variance = actual - row.theoretical - row.wasted;
+        const unitCost = window.Costing.Valuation.valueIngredient(id, movements, production, context, method).unitCost;
+        return {
+          ingredientId: id,
+          name: context.ingredients[id].name,
+          unit: context.ingredients[id].unit,
+          ...row,
+          actual,
+          variance,
+          variancePct: row.theoretical > 0 ? (variance / row.theoretical) * 100 : null,
+          unitCost,
+          varianceValue: variance * unitCost
+        };
+      }).sort((a, b) => Math.abs(b.varianceValue) - Math.abs(a.varianceValue));
+
+      return {
+        rows: result,
+        totals: {
+          varianceValue: result.reduce((sum, row) => sum + row.varianceValue, 0),
+          // Usage beyond recipes and recorded wastage: theft, over-portioning, unrecorded waste
+          lossValue: result.reduce((sum, row) => sum + Math.max(0, row.varianceValue), 0)
+        },
+        locations: counted
+      };
+    }
+  };
+
+  console.log('✅ Costing.StockTake module loaded');
+})();
@@ -0,0 +1,133 @@
+// Stock Ledger
+// Raw material stock per ingredient: purchases in, production consumption out, wastage and adjustments
+
+(function() {
+  'use strict';
+
+  // Movements entered by hand; consumption is derived from the production log
+  const MOVEMENT_TYPES = {
+    purchase: 'Purchase in',
+    wastage: 'Wastage',
+    adjustment: 'Adjustment (+/-)'
+  };
+
+  // Stock is held per location (see Engine.resolveLocations); production consumes where the batch was made
+  const DEFAULT_LOCATION = 'shop';
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Stock = {
+    MOVEMENT_TYPES,
+    DEFAULT_LOCATION,
+
+    /**
+     * Normalize a stock movement from either the local (camelCase) or database (snake_case) shape
+     * quantity is in the ingredient's purchase unit
+     */
+    normalizeMovement(movement = {}) {
+      return {
+        id: movement.id,
+        date: String(movement.date || movement.movement_date || '').slice(0, 10),
+        ingredientId: movement.ingredientId !== undefined ? movement.ingredientId : movement.ingredient_id,
+        type: movement.type || movement.movement_type,
+        quantity: parseFloat(movement.quantity) || 0,
+        unitCost: parseFloat(movement.unitCost !== undefined ? movement.unitCost : movement.unit_cost) || 0,
+        note: movement.note || '',
+        location: movement.location || DEFAULT_LOCATION
+      };
+    },
+
+    /**
+     * Change to stock a movement makes: purchases add, wastage and consumption remove,
+     * adjustments carry their own sign
+     */
+    signedQuantity(movement) {
+      if (movement.type === 'purchase') return Math.abs(movement.quantity);
+      if (movement.type === 'wastage' || movement.type === 'consumption') return -Math.abs(movement.quantity);
+      return movement.quantity;
+    },
+
+    /**
+     * Consumption movements derived from production runs: recipe line quantities × batches
+     * Only purchased-ingredient lines count; preparations consume their own ingredients when they are produced
+     */
+    getConsumption(production, context) {
+      const Engine = window.Costing.Engine;
+      const movements = [];
+      Object.values(production || {}).forEach(entry => {
+        const run = window.Costing.Production.normalizeEntry(entry);
+        const recipe = context.recipes[run.recipeId];
+        if (!recipe) return;
+        Engine.normalizeRecipe(recipe).lines.forEach(line => {
+          if (line.recipeId || !context.ingredients[line.ingredientId]) return;
+          movements.push({
+            id: `${run.id}:${line.ingredientId}`,
+            date: run.date,
+            ingredientId: line.ingredientId,
+            type: 'consumption',
+            quantity: Engine.getLineQuantity(line, context) * run.batches,
+            unitCost: 0,
+            note: recipe.name,
+            location: run.locationId || Engine.getRecipeLocation(Engine.normalizeRecipe(recipe), context)
+          });
+        });
+      });
+      return movements;
+    },
+
+    /**
+     * Ledger of one ingredient, oldest first, with the running balance after each movement
+     */
+    buildLedger(ingredientId, movements, production, context) {
+      let balance = 0;
+      return Object.values(movements || {})
+        .map(m => this.normalizeMovement(m))
+        .concat(this.getConsumption(production, context))
+        .filter(m => m.ingredientId === ingredientId)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(m => {
+          const change = this.signedQuantity(m);
+          balance += change;
+          return { ...m, change, balance };
+        });
+    },
+
+    /**
+     * Current stock of every ingredient against its reorder level
+     * Returns [{ ingredientId, name, unit, inStock, reorderLevel, low }] in ingredient order
+     */
+    getStockLevels(movements, production, context) {
+      const stock = {};
+      Object.values(movements || {})
+        .map(m => this.normalizeMovement(m))
+        .concat(this.getConsumption(production, context))
+        .forEach(m => { stock[m.ingredientId] = (stock[m.ingredientId] || 0) + this.signedQuantity(m); });
+
+      return Object.keys(context.ingredients).map(id => {
+        const ingredient = context.ingredients[id];
+        const reorderLevel = parseFloat(ingredient.reorderLevel !== undefined ? ingredient.reorderLevel : ingredient.reorder_level) || 0;
+        const inStock = stock[id] || 0;
+        return {
+          ingredientId: id,
+          name: ingredient.name,
+          unit: ingredient.unit,
+          inStock,
+          reorderLevel,
+          // Without a reorder level only running out counts as low
+          low: reorderLevel > 0 ? inStock <= reorderLevel : inStock < 0
+        };
+      });
+    },
+
+    /**
+     * Ingredients at or below their reorder level, largest shortfall first
+     */
+    getLowStock(movements, production, context) {
+      return this.getStockLevels(movements, production, context)
+        .filter(level => level.low)
+        .sort((a, b) => (a.inStock - a.reorderLevel) - (b.inStock - b.reorderLevel));
+    }
+  };
+
+  console.log('✅ Costing.Stock module loaded');
+})();
@@ -0,0 +1,111 @@
+// GST Tax Model
+// Output GST per recipe category, pre/post-tax margins and the GST summary on projected sales
+
+(function() {
+  'use strict';
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Tax = {
+    /**
+     * Output GST slab (%) of a recipe category
+     * Categories without their own slab (snacks, beverages) use their department's
+     */
+    getOutputRate(category, context) {
+      const rates = context.settings.categoryGstRates || {};
+      const department = window.Costing.Engine.getDepartment(category);
+      const rate = rates[category] !== undefined ? rates[category] : rates[department];
+      return parseFloat(rate) || 0;
+    },
+
+    /**
+     * Input GST credit claimable on the ingredients of one sale unit
+     * (purchase cost incl. GST minus the cost net of credit)
+     */
+    getInputCredit(recipe, context) {
+      const Engine = window.Costing.Engine;
+      const net = Engine.computeBreakdown(recipe, context);
+      const gross = Engine.computeBreakdown(recipe, { ...context, includeInputGst: true });
+      return (gross.raw + gross.wastage) - (net.raw + net.wastage);
+    },
+
+    /**
+     * Tax view of one sale unit of a recipe
+     * sellingPrice is ex-GST; menuPrice adds output GST. The pre-tax margin is profit over the
+     * ex-GST price, the post-tax margin is the same profit over what the customer pays
+     * Returns { cost, inputCredit, sellingPrice, outputRate, outputGst, menuPrice, preTaxMargin, postTaxMargin }
+     */
+    computeTaxBreakdown(recipe, context) {
+      const Engine = window.Costing.Engine;
+      const r = Engine.normalizeRecipe(recipe);
+      const cost = Engine.computeBreakdown(recipe, context).total;
+      const outputRate = this.getOutputRate(r.category, context);
+      const outputGst = r.sellingPrice * outputRate / 100;
+      const menuPrice = r.sellingPrice + outputGst;
+      return {
+        cost,
+        inputCredit: this.getInputCredit(recipe, context),
+        sellingPrice: r.sellingPrice,
+        outputRate,
+        outputGst,
+        menuPrice,
+        preTaxMargin: Engine.profitPercent(r.sellingPrice, cost),
+        postTaxMargin: menuPrice ? ((r.sellingPrice - cost) / menuPrice) * 100 : 0
+      };
+    },
+
+    /**
+     * GST summary on a month of projected sales (daily volume × working days per month)
+     * Returns { rows: [{ id, name, category, rate, units, sales, outputGst, inputCredit }],
+     *           slabs: [{ rate, sales, outputGst }], totals: { sales, outputGst, inputCredit, netPayable } }
+     * A negative netPayable is input credit carried forward
+     */
+    buildSummary(context) {
+      const Engine = window.Costing.Engine;
+      const days = Math.max(1, parseFloat(context.settings.workingDaysPerMonth) || 1);
+
+      const rows = Object.keys(context.recipes)
+        .filter(id => !Engine.normalizeRecipe(context.recipes[id]).isPreparation)
+        .map(id => {
+          const recipe = context.recipes[id];
+          const r = Engine.normalizeRecipe(recipe);
+          const tax = this.computeTaxBreakdown(recipe, context);
+          const units = Math.max(1, r.dailyVolume) * days;
+          return {
+            id,
+            name: recipe.name,
+            category: r.category,
+            rate: tax.outputRate,
+            units,
+            sales: tax.sellingPrice * units,
+            outputGst: tax.outputGst * units,
+            inputCredit: tax.inputCredit * units
+          };
+        });
+
+      const slabs = {};
+      rows.forEach(row => {
+        const slab = slabs[row.rate] || (slabs[row.rate] = { rate: row.rate, sales: 0, outputGst: 0 });
+        slab.sales += row.sales;
+        slab.outputGst += row.outputGst;
+      });
+
+      const sum = key => rows.reduce((total, row) => total + row[key], 0);
+      const outputGst = sum('outputGst');
+      const inputCredit = sum('inputCredit');
+
+      return {
+        rows,
+        slabs: Object.values(slabs).sort((a, b) => a.rate - b.rate),
+        totals: {
+          sales: sum('sales'),
+          outputGst,
+          inputCredit,
+          netPayable: outputGst - inputCredit
+        }
+      };
+    }
+  };
+
+  console.log('✅ Costing.Tax module loaded');
+})();
@@ -0,0 +1,146 @@
+// Transfers
+// Finished goods moved from kitchens to outlets at a transfer price, and profit per cost centre
+
+(function() {
+  'use strict';
+
+  const PRICING_RULES = {
+    cost: 'At full cost',
+    cost_plus: 'Full cost plus %',
+    outlet_less: 'Outlet price less %',
+    fixed: 'Fixed price per unit'
+  };
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Transfers = {
+    PRICING_RULES,
+
+    /**
+     * Normalize a transfer from either the local (camelCase) or database (snake_case) shape
+     * quantity is in the recipe's sale units; unitCost is the variable cost of one unit when it was sent
+     */
+    normalizeTransfer(transfer = {}) {
+      const rule = transfer.rule || transfer.pricing_rule;
+      return {
+        id: transfer.id,
+        date: String(transfer.date || transfer.transfer_date || '').slice(0, 10),
+        recipeId: transfer.recipeId !== undefined ? transfer.recipeId : transfer.recipe_id,
+        fromLocationId: transfer.fromLocationId || transfer.from_location || 'factory',
+        toLocationId: transfer.toLocationId || transfer.to_location || window.Costing.Sales.DEFAULT_LOCATION,
+        quantity: parseFloat(transfer.quantity) || 0,
+        unitCost: parseFloat(transfer.unitCost !== undefined ? transfer.unitCost : transfer.unit_cost) || 0,
+        transferPrice: parseFloat(transfer.transferPrice !== undefined ? transfer.transferPrice : transfer.transfer_price) || 0,
+        rule: PRICING_RULES[rule] ? rule : 'fixed',
+        notes: transfer.notes || ''
+      };
+    },
+
+    /**
+     * Whether a location id is a kitchen (transfers are sent from kitchens only)
+     * locations: resolved locations keyed by id (context.locations)
+     */
+    isKitchen(locationId, locations) {
+      const location = (locations || {})[locationId];
+      return !!location && location.kind === 'kitchen';
+    },
+
+    /**
+     * Transfer price of one sale unit under a rule
+     * cost / cost_plus work from the full cost (material, wastage, packaging and the kitchen's overhead share);
+     * outlet_less from the receiving outlet's selling price; fixed uses `price` as entered
+     */
+    getTransferPrice(rule, { fullCost = 0, outletPrice = 0, percent = 0, price = 0 } = {}) {
+      const pct = parseFloat(percent) || 0;
+      let value;
+      if (rule === 'cost') value = fullCost;
+      else if (rule === 'cost_plus') value = fullCost * (1 + pct / 100);
+      else if (rule === 'outlet_less') value = outletPrice * (1 - pct / 100);
+      else value = parseFloat(price) || 0;
+      return Math.round(Math.max(0, value) * 100) / 100;
+    },
+
+    /**
+     * Cost and transfer price of one sale unit sent to an outlet on a date
+     * Saved with each transfer, so later price changes do not rewrite past profit
+     * pricing: { rule, percent, price }; defaults to the organization's rule (settings.transferPricing)
+     * Returns { unitCost, fullCost, transferPrice, rule }
+     */
+    priceOn(recipe, date, context, toLocationId, pricing = {}) {
+      const Engine = window.Costing.Engine;
+      const defaults = context.settings.transferPricing;
+      const rule = PRICING_RULES[pricing.rule] ? pricing.rule : defaults.rule;
+      const percent = pricing.percent !== undefined ? pricing.percent : defaults.percent;
+      const breakdown = Engine.computeBreakdownOn(recipe, date, context);
+      const fullCost = breakdown.total;
+      const transferPrice = this.getTransferPrice(rule, {
+        fullCost,
+        outletPrice: window.Costing.Locations.getOutletPrice(recipe, toLocationId),
+        percent,
+        price: pricing.price
+      });
+      return { unitCost: window.Costing.BreakEven.getVariableCost(breakdown), fullCost, transferPrice, rule };
+    },
+
+    /**
+     * Profit per cost centre over a period (YYYY-MM-DD, inclusive)
+     * Kitchens earn the transfer price on what they send out and bear its variable cost; outlets cost
+     * dishes they received at the average transfer price instead of the recorded cost of goods
+     * The average covers every transfer up to the end of the period, so stock received before it is priced too
+     * total is the consolidated profit (transfers cancel out); unrealised is the kitchens' margin on
+     * transfers the outlets have not sold within the period, less margin earned in earlier periods on
+     * stock sold in this one (so it can be negative)
+     * Returns { rows: [{ ...profitByLocation row, transferIn, transferOut }], total, days, unrealised }
+     */
+    profitByCentre(entries, transfers, context, { from = null, to = null } = {}) {
+      const Sales = window.Costing.Sales;
+      const report = window.Costing.Locations.profitByLocation(entries, context, { from, to });
+      const inPeriod = date => date && (!from || date >= from) && (!to || date <= to);
+      const known = id => (context.locations[id] ? id : null);
+      const rows = {};
+      report.rows.forEach(row => { rows[row.locationId] = { ...row, transferIn: 0, transferOut: 0 }; });
+
+      // Received quantity and value per outlet and recipe up to the period end, for the average transfer price
+      const received = {};
+      Object.values(transfers || {})
+        .map(t => this.normalizeTransfer(t))
+        .filter(t => t.date && (!to || t.date <= to) && t.quantity > 0 && this.isKitchen(t.fromLocationId, context.locations) && known(t.toLocationId))
+        .forEach(t => {
+          const value = t.quantity * t.transferPrice;
+          const key = `${t.toLocationId}|${t.recipeId}`;
+          const item = received[key] || (received[key] = { quantity: 0, value: 0 });
+          item.quantity += t.quantity;
+          item.value += value;
+          if (!inPeriod(t.date)) return;
+          rows[t.fromLocationId].transferOut += value;
+          rows[t.fromLocationId].cogs += t.quantity * t.unitCost;
+          rows[t.toLocationId].transferIn += value;
+        });
+
+      Object.values(entries || {})
+        .map(e => Sales.normalizeEntry(e))
+        .filter(e => inPeriod(e.date))
+        .forEach(e => {
+          const locationId = known(e.locationId) || Sales.DEFAULT_LOCATION;
+          const item = received[`${locationId}|${e.recipeId}`];
+          if (!item) return;
+          rows[locationId].cogs += e.quantity * (item.value / item.quantity - e.unitCost);
+        });
+
+      const result = Object.values(rows).map(row => {
+        const grossProfit = row.revenue + row.transferOut - row.cogs;
+        return { ...row, grossProfit, netProfit: grossProfit - row.fixedCost };
+      });
+      const sum = key => result.reduce((total, row) => total + row[key], 0);
+
+      return {
+        rows: result,
+        total: { ...report.total, transferIn: sum('transferIn'), transferOut: sum('transferOut') },
+        days: report.days,
+        unrealised: sum('netProfit') - report.total.netProfit
+      };
+    }
+  };
+
+  console.log('✅ Costing.Transfers module loaded');
+})();
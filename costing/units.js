@@ -0,0 +1,130 @@
+// Unit of Measure Registry
+// Canonical units, aliases and conversions shared by the UI, CSV import, DB writes and costing
+
+(function() {
+  'use strict';
+
+  // Canonical units (must match the ingredients.valid_unit CHECK constraint)
+  // factor converts to the dimension's base unit: kg, L or pieces
+  const UNITS = {
+    kg: { label: 'kg', dimension: 'mass', factor: 1 },
+    g: { label: 'g', dimension: 'mass', factor: 0.001 },
+    L: { label: 'L', dimension: 'volume', factor: 1 },
+    ml: { label: 'ml', dimension: 'volume', factor: 0.001 },
+    pieces: { label: 'pieces', dimension: 'count', factor: 1 },
+    dozen: { label: 'dozen', dimension: 'count', factor: 12 },
+    packet: { label: 'packet', dimension: 'packet', factor: 1 },
+    box: { label: 'box', dimension: 'box', factor: 1 },
+    bottle: { label: 'bottle', dimension: 'bottle', factor: 1 }
+  };
+
+  // Lower-case spellings seen in forms, CSV files and old data
+  const ALIASES = {
+    kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+    g: 'g', gm: 'g', gms: 'g', gram: 'g', grams: 'g', gr: 'g',
+    l: 'L', ltr: 'L', ltrs: 'L', litre: 'L', litres: 'L', liter: 'L', liters: 'L',
+    ml: 'ml', millilitre: 'ml', milliliter: 'ml',
+    pieces: 'pieces', piece: 'pieces', pc: 'pieces', pcs: 'pieces', nos: 'pieces', no: 'pieces', unit: 'pieces', units: 'pieces',
+    dozen: 'dozen', dz: 'dozen', doz: 'dozen',
+    packet: 'packet', packets: 'packet', pkt: 'packet', pack: 'packet',
+    box: 'box', boxes: 'box',
+    bottle: 'bottle', bottles: 'bottle', btl: 'bottle'
+  };
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Units = {
+    UNITS,
+    ALIASES,
+
+    /**
+     * List canonical unit codes (for dropdowns and validation)
+     */
+    list() {
+      return Object.keys(UNITS);
+    },
+
+    /**
+     * Map any known spelling to its canonical unit, or null if unknown
+     */
+    normalize(unit) {
+      if (unit === undefined || unit === null) return null;
+      const raw = String(unit).trim();
+      if (UNITS[raw]) return raw;
+      return ALIASES[raw.toLowerCase()] || null;
+    },
+
+    /**
+     * Normalize a unit or throw a validation error
+     */
+    require(unit) {
+      const canonical = this.normalize(unit);
+      if (!canonical) {
+        const error = new Error(`Unknown unit "${unit}". Use one of: ${this.list().join(', ')}`);
+        error.code = 'INVALID_UNIT';
+        error.field = 'unit';
+        throw error;
+      }
+      return canonical;
+    },
+
+    /**
+     * Dimension of a unit (mass, volume, count, or the unit itself for packs)
+     */
+    getDimension(unit) {
+      const canonical = this.normalize(unit);
+      return canonical ? UNITS[canonical].dimension : null;
+    },
+
+    /**
+     * Units a quantity of the given unit can be entered in (same dimension,
+     * plus mass/volume when a density is known)
+     */
+    compatibleUnits(unit, density = null) {
+      return this.list().filter(u => this.canConvert(u, unit, density));
+    },
+
+    /**
+     * Whether a quantity in one unit can be expressed in another
+     * density (kg per L) bridges mass and volume
+     */
+    canConvert(fromUnit, toUnit, density = null) {
+      return this.convert(1, fromUnit, toUnit, density) !== null;
+    },
+
+    /**
+     * Convert a quantity between units; returns null when the units are incompatible
+     */
+    convert(quantity, fromUnit, toUnit, density = null) {
+      const from = this.normalize(fromUnit);
+      const to = this.normalize(toUnit);
+      if (!from || !to) return null;
+
+      const qty = parseFloat(quantity) || 0;
+      if (from === to) return qty;
+
+      const fromDef = UNITS[from];
+      const toDef = UNITS[to];
+      const base = qty * fromDef.factor;
+
+      if (fromDef.dimension === toDef.dimension) {
+        return base / toDef.factor;
+      }
+
+      // Volume <-> weight needs the ingredient's density (kg/L, same as g/ml)
+      const d = parseFloat(density);
+      if (d > 0) {
+        if (fromDef.dimension === 'volume' && toDef.dimension === 'mass') {
+          return (base * d) / toDef.factor;
+        }
+        if (fromDef.dimension === 'mass' && toDef.dimension === 'volume') {
+          return (base / d) / toDef.factor;
+        }
+      }
+
+      return null;
+    }
+  };
+
+  console.log('✅ Costing.Units module loaded');
+})();
@@ -0,0 +1,211 @@
+// Inventory Valuation
+// Values stock and consumption per ingredient by latest price, weighted average cost or FIFO
+
+(function() {
+  'use strict';
+
+  const METHODS = {
+    latest: 'Latest price',
+    wac: 'Weighted average cost',
+    fifo: 'FIFO (first in, first out)'
+  };
+
+  // Quantities below this count as zero (rounding of kg/g conversions)
+  const EPSILON = 1e-9;
+
+  window.Costing = window.Costing || {};
+
+  window.Costing.Valuation = {
+    METHODS,
+
+    /**
+     * Current purchase price of an ingredient (fallback cost when nothing has been purchased)
+     */
+    getFallbackCost(ingredientId, context) {
+      const ingredient = context.ingredients[ingredientId];
+      if (!ingredient) return 0;
+      return parseFloat(ingredient.price !== undefined ? ingredient.price : ingredient.price_per_unit) || 0;
+    },
+
+    /**
+     * Replay one ingredient's ledger (oldest first) and cost every movement
+     * Stock is always rebuilt from the full ledger, so back-dated purchases revalue later issues
+     * Issues beyond the stock on hand are costed at the last known cost; later purchases cover that shortfall first
+     * Returns { ingredientId, method, onHand, value, unitCost, entries: [{ ...ledger entry, cost }] }
+     */
+    valueIngredient(ingredientId, movements, production, context, method = 'wac') {
+      const Engine = window.Costing.Engine;
+      const ledger = window.Costing.Stock.buildLedger(ingredientId, movements, production, context);
+      let lastCost = null;
+      // Weighted average: quantity and value on hand
+      let quantity = 0;
+      let value = 0;
+      // FIFO: cost layers on hand (oldest first) and quantity issued without stock
+      const layers = [];
+      let shortfall = 0;
+
+      const currentCost = () => {
+        if (method === 'wac' && quantity > EPSILON) return value / quantity;
+        if (method === 'fifo' && layers.length) return layers[0].cost;
+        return lastCost !== null ? lastCost : this.getFallbackCost(ingredientId, context);
+      };
+
+      const receive = (qty, cost) => {
+        if (method === 'fifo') {
+          const covered = Math.min(shortfall, qty);
+          shortfall -= covered;
+          if (qty - covered > EPSILON) layers.push({ quantity: qty - covered, cost });
+          return;
+        }
+        // Stock that went below zero was already costed; what arrives is valued at its own cost
+        value = quantity > EPSILON ? value + qty * cost : (quantity + qty) * cost;
+        quantity += qty;
+      };
+
+      const issue = qty => {
+        if (method !== 'fifo') {
+          const cost = qty * currentCost();
+          quantity -= qty;
+          value = quantity > EPSILON ? value - cost : 0;
+          return cost;
+        }
+        let remaining = qty;
+        let cost = 0;
+        while (remaining > EPSILON && layers.length) {
+          const layer = layers[0];
+          const used = Math.min(layer.quantity, remaining);
+          cost += used * layer.cost;
+          remaining -= used;
+          layer.quantity -= used;
+          lastCost = layer.cost;
+          if (layer.quantity <= EPSILON) layers.shift();
+        }
+        if (remaining > EPSILON) {
+          cost += remaining * currentCost();
+          shortfall += remaining;
+        }
+        return cost;
+      };
+
+      const entries = ledger.map(entry => {
+        if (method === 'latest') {
+          // Issues at the price effective on their date, purchases at what was paid
+          const historical = Engine.getPriceOn(ingredientId, entry.date, context);
+          let price = historical !== null ? historical : this.getFallbackCost(ingredientId, context);
+          if (entry.type === 'purchase' && entry.unitCost > 0) price = entry.unitCost;
+          return { ...entry, cost: Math.abs(entry.change) * price };
+        }
+        if (entry.change >= 0) {
+          const unitCost = entry.type === 'purchase' && entry.unitCost > 0 ? entry.unitCost : currentCost();
+          receive(entry.change, unitCost);
+          if (entry.type === 'purchase' && entry.unitCost > 0) lastCost = entry.unitCost;
+          return { ...entry, cost: entry.change * unitCost };
+        }
+        return { ...entry, cost: issue(-entry.change) };
+      });
+
+      const onHand = ledger.length ? ledger[ledger.length - 1].balance : 0;
+      let stockValue;
+      if (method === 'latest') {
+        stockValue = Math.max(onHand, 0) * this.getFallbackCost(ingredientId, context);
+      } else if (method === 'fifo') {
+        stockValue = layers.reduce((sum, layer) => sum + layer.quantity * layer.cost, 0);
+      } else {
+        stockValue = quantity > EPSILON ? value : 0;
+      }
+
+      return {
+        ingredientId,
+        method,
+        onHand,
+        value: stockValue,
+        // Cost of the next unit issued (FIFO: oldest layer on hand)
+        unitCost: method === 'latest' ? this.getFallbackCost(ingredientId, context) : currentCost(),
+        entries
+      };
+    },
+
+    /**
+     * Valued unit cost per ingredient; ingredients without stock movements keep their price
+     */
+    getValuedPrices(movements, production, context, method) {
+      const prices = {};
+      const moved = new Set(Object.values(movements || {}).map(m => window.Costing.Stock.normalizeMovement(m).ingredientId));
+      Object.keys(context.ingredients).forEach(id => {
+        if (!moved.has(id)) return;
+        prices[id] = this.valueIngredient(id, movements, production, context, method).unitCost;
+      });
+      return prices;
+    },
+
+    /**
+     * Costing context whose ingredient prices are the organization's valued cost
+     * (settings.valuationMethod); with the latest-price method the context is returned unchanged
+     */
+    applyToContext(context, movements, production) {
+      const method = context.settings.valuationMethod;
+      if (!METHODS[method] || method === 'latest') return context;
+      return { ...context, valuedPrices: this.getValuedPrices(movements, production, context, method) };
+    },
+
+    /**
+     * Costing context for app data, valued by the organization's method
+     * Every costing path builds its context here, so recipe costs agree everywhere
+     * movements / production: the stock ledger and production runs (local maps or rows)
+     */
+    createContext(data, movements, production) {
+      return this.applyToContext(window.Costing.Engine.createContext(data), movements, production);
+    },
+
+    /**
+     * Valuation report over a period (YYYY-MM-DD, inclusive)
+     * Returns { rows: [{ ingredientId, name, unit, onHand, unitCost, value, consumed, consumptionCost,
+     * wasted, wastageCost, purchased, purchaseCost }], totals } for ingredients with any stock or activity
+     */
+    periodReport(movements, production, context, method, { from = null, to = null } = {}) {
+      const inPeriod = entry => (!from || entry.date >= from) && (!to || entry.date <= to);
+      const rows = Object.keys(context.ingredients).map(id => {
+        const result = this.valueIngredient(id, movements, production, context, method);
+        const row = {
+          ingredientId: id,
+          name: context.ingredients[id].name,
+          unit: context.ingredients[id].unit,
+          onHand: result.onHand,
+          unitCost: result.unitCost,
+          value: result.value,
+          consumed: 0,
+          consumptionCost: 0,
+          wasted: 0,
+          wastageCost: 0,
+          purchased: 0,
+          purchaseCost: 0
+        };
+        result.entries.filter(inPeriod).forEach(entry => {
+          if (entry.type === 'consumption') {
+            row.consumed += -entry.change;
+            row.consumptionCost += entry.cost;
+          } else if (entry.type === 'purchase') {
+            row.purchased += entry.change;
+            row.purchaseCost += entry.cost;
+          } else if (entry.change < 0) {
+            // Wastage and stock written down by adjustments
+            row.wasted += -entry.change;
+            row.wastageCost += entry.cost;
+          }
+        });
+        return { row, active: result.entries.length > 0 };
+      }).filter(item => item.active).map(item => item.row);
+
+      const totals = rows.reduce((sum, row) => ({
+        value: sum.value + row.value,
+        consumptionCost: sum.consumptionCost + row.consumptionCost,
+        wastageCost: sum.wastageCost + row.wastageCost,
+        purchaseCost: sum.purchaseCost + row.purchaseCost
+      }), { value: 0, consumptionCost: 0, wastageCost: 0, purchaseCost: 0 });
+
+      return { rows, totals };
+    }
+  };
+
+  console.log('✅ Costing.Valuation module loaded');
+})();
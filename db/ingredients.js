@@ -13,13 +13,16 @@
      * Create a new ingredient
      */
     async create(ingredientData) {
-      const { name, unit, price_per_unit } = ingredientData;
+      const { name, unit, price_per_unit, density, gst_rate, input_credit, reorder_level, effective_from, supplier } = ingredientData;
       
       // Validate required fields
       if (!name || !unit || price_per_unit === undefined) {
         throw new Error('Name, unit, and price_per_unit are required');
       }
       
+      // Normalize unit aliases (gm → g, pc → pieces) to the canonical units the table allows
+      const canonicalUnit = window.Costing.Units.require(unit);
+      
       // Check for duplicate name (case-insensitive)
       const isDuplicate = await window.DB.Base.checkDuplicate(this.TABLE_NAME, name);
       if (isDuplicate) {
@@ -32,8 +35,18 @@
       // Create ingredient
       const result = await window.DB.Base.create(this.TABLE_NAME, {
         name: name.trim(),
-        unit,
-        price_per_unit: parseFloat(price_per_unit)
+        unit: canonicalUnit,
+        price_per_unit: parseFloat(price_per_unit),
+        density: this.parseDensity(density),
+        gst_rate: this.parseGstRate(gst_rate),
+        input_credit: !!input_credit,
+        reorder_level: this.parseReorderLevel(reorder_level)
+      });
+      
+      // Start the price history with the opening price
+      await window.DB.PriceHistory.record(result.data.id, result.data.price_per_unit, {
+        effectiveFrom: effective_from,
+        supplier
       });
       
       // Show success toast
@@ -44,6 +57,42 @@
       return result;
     },
 
+    /**
+     * Parse optional density (kg per L); empty or non-positive means unknown
+     */
+    parseDensity(density) {
+      const value = parseFloat(density);
+      return value > 0 ? value : null;
+    },
+
+    /**
+     * Parse the GST rate (%) included in the purchase price; empty means no GST
+     */
+    parseGstRate(gstRate) {
+      const value = parseFloat(gstRate) || 0;
+      if (value < 0 || value > 28) {
+        const error = new Error('GST rate must be between 0% and 28%');
+        error.code = 'INVALID_GST_RATE';
+        error.field = 'gst_rate';
+        throw error;
+      }
+      return value;
+    },
+
+    /**
+     * Parse the reorder level (stock in the ingredient's unit); empty means none
+     */
+    parseReorderLevel(reorderLevel) {
+      const value = parseFloat(reorderLevel) || 0;
+      if (value < 0) {
+        const error = new Error('Reorder level must be 0 or more');
+        error.code = 'INVALID_REORDER_LEVEL';
+        error.field = 'reorder_level';
+        throw error;
+      }
+      return value;
+    },
+
     /**
      * Get ingredient by ID
      */
@@ -60,8 +109,15 @@
 
     /**
      * Update an ingredient
+     * A changed price_per_unit is also recorded in the price history, effective from
+     * updates.effective_from (default today) with the optional updates.supplier.
+     * A future effective_from only schedules the price; price_per_unit keeps today's price
      */
     async update(id, updates, expectedVersion = null) {
+      const { effective_from, supplier } = updates;
+      delete updates.effective_from;
+      delete updates.supplier;
+      
       // If name is being updated, check for duplicates
       if (updates.name) {
         const isDuplicate = await window.DB.Base.checkDuplicate(
@@ -78,9 +134,33 @@
         updates.name = updates.name.trim();
       }
       
-      // Parse numeric fields
+      // Normalize unit and parse numeric fields
+      if (updates.unit !== undefined) {
+        updates.unit = window.Costing.Units.require(updates.unit);
+      }
+      let previousPrice = null;
       if (updates.price_per_unit !== undefined) {
         updates.price_per_unit = parseFloat(updates.price_per_unit);
+        const current = await this.getById(id);
+        previousPrice = parseFloat(current.data.price_per_unit);
+      }
+      if (updates.density !== undefined) {
+        updates.density = this.parseDensity(updates.density);
+      }
+      if (updates.gst_rate !== undefined) {
+        updates.gst_rate = this.parseGstRate(updates.gst_rate);
+      }
+      if (updates.input_credit !== undefined) {
+        updates.input_credit = !!updates.input_credit;
+      }
+      if (updates.reorder_level !== undefined) {
+        updates.reorder_level = this.parseReorderLevel(updates.reorder_level);
+      }
+      
+      // A future price is only scheduled; costing picks it up from the history on its date
+      const newPrice = updates.price_per_unit;
+      if (newPrice !== undefined && effective_from && effective_from > window.Costing.Engine.toISODate()) {
+        delete updates.price_per_unit;
       }
       
       const result = await window.DB.Base.update(
@@ -90,6 +170,13 @@
         expectedVersion
       );
       
+      if (newPrice !== undefined && newPrice !== previousPrice) {
+        await window.DB.PriceHistory.record(id, newPrice, {
+          effectiveFrom: effective_from,
+          supplier
+        });
+      }
+      
       // Show success toast
       if (window.UI && window.UI.Toast) {
         window.UI.Toast.show(`✅ Ingredient updated`, 'success');
@@ -0,0 +1,121 @@
+// Locations Database Operations
+// Handles outlets and kitchens beyond the built-in shop and factory, with their own overhead
+
+(function() {
+  'use strict';
+
+  window.DB = window.DB || {};
+
+  window.DB.Locations = {
+    TABLE_NAME: 'locations',
+
+    /**
+     * Create a new location
+     */
+    async create(locationData) {
+      const { name, kind, overhead } = locationData;
+
+      // Validate required fields
+      if (!name) {
+        throw new Error('Name is required');
+      }
+
+      // Check for duplicate name (case-insensitive)
+      const isDuplicate = await this.isNameTaken(name);
+      if (isDuplicate) {
+        const error = new Error(`Location "${name}" already exists`);
+        error.code = 'DUPLICATE';
+        error.field = 'name';
+        throw error;
+      }
+
+      const result = await window.DB.Base.create(this.TABLE_NAME, {
+        name: name.trim(),
+        kind: this.parseKind(kind),
+        overhead: overhead || {}
+      });
+
+      // Show success toast
+      if (window.UI && window.UI.Toast) {
+        window.UI.Toast.show(`✅ Location "${name}" added`, 'success');
+      }
+
+      return result;
+    },
+
+    /**
+     * Whether a name is used by another location, including the built-in shop and factory
+     */
+    async isNameTaken(name, excludeId = null) {
+      const builtIn = Object.values(window.Costing.Engine.BUILT_IN_LOCATIONS)
+        .some(location => location.name.toLowerCase() === String(name).trim().toLowerCase());
+      return builtIn || await window.DB.Base.checkDuplicate(this.TABLE_NAME, name, excludeId);
+    },
+
+    /**
+     * Parse a location kind; defaults to outlet
+     */
+    parseKind(kind) {
+      if (!kind) return 'outlet';
+      if (!window.Costing.Engine.LOCATION_KINDS[kind]) {
+        const error = new Error(`Location must be one of: ${Object.keys(window.Costing.Engine.LOCATION_KINDS).join(', ')}`);
+        error.code = 'INVALID_LOCATION_KIND';
+        error.field = 'kind';
+        throw error;
+      }
+      return kind;
+    },
+
+    /**
+     * List all locations
+     */
+    async list() {
+      return await window.DB.Base.list(this.TABLE_NAME);
+    },
+
+    /**
+     * Update a location
+     */
+    async update(id, updates, expectedVersion = null) {
+      // If name is being updated, check for duplicates
+      if (updates.name) {
+        const isDuplicate = await this.isNameTaken(updates.name, id);
+        if (isDuplicate) {
+          const error = new Error(`Location "${updates.name}" already exists`);
+          error.code = 'DUPLICATE';
+          error.field = 'name';
+          throw error;
+        }
+        updates.name = updates.name.trim();
+      }
+
+      if (updates.kind !== undefined) {
+        updates.kind = this.parseKind(updates.kind);
+      }
+
+      return await window.DB.Base.update(
+        this.TABLE_NAME,
+        id,
+        updates,
+        expectedVersion
+      );
+    },
+
+    /**
+     * Delete a location
+     * Rows that refer to it keep its id and fall back to the built-in locations in costing
+     */
+    async delete(id) {
+      const result = await window.DB.Base.delete(this.TABLE_NAME, id);
+
+      // Show success toast
+      if (window.UI && window.UI.Toast) {
+        window.UI.Toast.show(`🗑️ Location deleted`, 'success');
+      }
+
+      return result;
+    }
+  };
+
+  console.log('✅ DB.Locations module loaded');
+})();
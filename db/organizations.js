@@ -67,6 +67,15 @@
       });
     },
 
+    /**
+     * Update costing settings (payroll split, allocation rules, ...)
+     */
+    async updateCostingSettings(settings) {
+      return await this.updateSettings({
+        costing_settings: settings
+      });
+    },
+
     /**
      * Update profit margin
      */
@@ -0,0 +1,141 @@
+// Packaging Database Operations
+// Handles CRUD operations for packaging and consumables (boxes, butter paper, bags, foil containers)
+
+(function() {
+  'use strict';
+
+  window.DB = window.DB || {};
+
+  window.DB.Packaging = {
+    TABLE_NAME: 'packaging_items',
+
+    /**
+     * Create a new packaging item
+     */
+    async create(itemData) {
+      const { name, unit, cost_per_unit } = itemData;
+      
+      // Validate required fields
+      if (!name || cost_per_unit === undefined) {
+        throw new Error('Name and cost_per_unit are required');
+      }
+      
+      // Check for duplicate name (case-insensitive)
+      const isDuplicate = await window.DB.Base.checkDuplicate(this.TABLE_NAME, name);
+      if (isDuplicate) {
+        const error = new Error(`Packaging item "${name}" already exists`);
+        error.code = 'DUPLICATE';
+        error.field = 'name';
+        throw error;
+      }
+      
+      const result = await window.DB.Base.create(this.TABLE_NAME, {
+        name: name.trim(),
+        unit: unit ? window.Costing.Units.require(unit) : 'pieces',
+        cost_per_unit: this.parseCost(cost_per_unit)
+      });
+      
+      // Show success toast
+      if (window.UI && window.UI.Toast) {
+        window.UI.Toast.show(`✅ Packaging "${name}" added`, 'success');
+      }
+      
+      return result;
+    },
+
+    /**
+     * Parse the cost per unit; must be 0 or more
+     */
+    parseCost(cost) {
+      const value = parseFloat(cost);
+      if (isNaN(value) || value < 0) {
+        const error = new Error('Packaging cost must be 0 or more');
+        error.code = 'INVALID_COST';
+        error.field = 'cost_per_unit';
+        throw error;
+      }
+      return value;
+    },
+
+    /**
+     * Get packaging item by ID
+     */
+    async getById(id) {
+      return await window.DB.Base.getById(this.TABLE_NAME, id);
+    },
+
+    /**
+     * List all packaging items
+     */
+    async list() {
+      return await window.DB.Base.list(this.TABLE_NAME);
+    },
+
+    /**
+     * Update a packaging item
+     */
+    async update(id, updates, expectedVersion = null) {
+      // If name is being updated, check for duplicates
+      if (updates.name) {
+        const isDuplicate = await window.DB.Base.checkDuplicate(
+          this.TABLE_NAME, 
+          updates.name, 
+          id
+        );
+        if (isDuplicate) {
+          const error = new Error(`Packaging item "${updates.name}" already exists`);
+          error.code = 'DUPLICATE';
+          error.field = 'name';
+          throw error;
+        }
+        updates.name = updates.name.trim();
+      }
+      
+      if (updates.unit !== undefined) {
+        updates.unit = window.Costing.Units.require(updates.unit);
+      }
+      if (updates.cost_per_unit !== undefined) {
+        updates.cost_per_unit = this.parseCost(updates.cost_per_unit);
+      }
+      
+      const result = await window.DB.Base.update(
+        this.TABLE_NAME, 
+        id, 
+        updates, 
+        expectedVersion
+      );
+      
+      // Show success toast
+      if (window.UI && window.UI.Toast) {
+        window.UI.Toast.show(`✅ Packaging updated`, 'success');
+      }
+      
+      return result;
+    },
+
+    /**
+     * Delete a packaging item
+     */
+    async delete(id) {
+      try {
+        const result = await window.DB.Base.delete(this.TABLE_NAME, id);
+        
+        // Show success toast
+        if (window.UI && window.UI.Toast) {
+          window.UI.Toast.show(`🗑️ Packaging deleted`, 'success');
+        }
+        
+        return result;
+      } catch (error) {
+        // Check if deletion failed due to foreign key constraint
+        if (error.code === '23503') {
+          error.message = 'Cannot delete packaging item. It is used in one or more recipes.';
+          error.userMessage = 'This packaging item is assigned to recipes. Please remove it from all recipes first.';
+        }
+        throw error;
+      }
+    }
+  };
+
+  console.log('✅ DB.Packaging module loaded');
+})();
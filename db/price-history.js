@@ -0,0 +1,93 @@
+// Ingredient Price History Database Operations
+// Records every ingredient price change with its effective date and supplier
+
+(function() {
+  'use strict';
+
+  window.DB = window.DB || {};
+
+  window.DB.PriceHistory = {
+    TABLE_NAME: 'ingredient_price_history',
+
+    /**
+     * Record a price for an ingredient, effective from a date (defaults to today)
+     */
+    async record(ingredientId, price, { effectiveFrom = null, supplier = null } = {}) {
+      const value = parseFloat(price);
+      if (!ingredientId || isNaN(value) || value < 0) {
+        const error = new Error('Ingredient and a price of 0 or more are required');
+        error.code = 'INVALID_PRICE';
+        error.field = 'price_per_unit';
+        throw error;
+      }
+
+      return await window.DB.Base.create(this.TABLE_NAME, {
+        ingredient_id: ingredientId,
+        price_per_unit: value,
+        effective_from: effectiveFrom || window.Costing.Engine.toISODate(),
+        supplier: supplier ? String(supplier).trim() : null
+      });
+    },
+
+    /**
+     * List the full price history of the organization (used for costing as of a date)
+     */
+    async list() {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .select('*')
+        .eq('organization_id', orgId)
+        .order('effective_from', { ascending: true })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    },
+
+    /**
+     * Price timeline of one ingredient, oldest first
+     */
+    async listForIngredient(ingredientId) {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .select('*')
+        .eq('organization_id', orgId)
+        .eq('ingredient_id', ingredientId)
+        .order('effective_from', { ascending: true })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    },
+
+    /**
+     * Price of an ingredient on a date, or null if none was recorded by then
+     */
+    async getPriceOn(ingredientId, date) {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .select('price_per_unit')
+        .eq('organization_id', orgId)
+        .eq('ingredient_id', ingredientId)
+        .lte('effective_from', date)
+        .order('effective_from', { ascending: false })
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? parseFloat(data.price_per_unit) : null;
+    }
+  };
+
+  console.log('✅ DB.PriceHistory module loaded');
+})();
@@ -0,0 +1,112 @@
+// Production Log Database Operations
+// Records factory batches: recipe, date, batches made, actual yield, wastage and staff on shift
+
+(function() {
+  'use strict';
+
+  window.DB = window.DB || {};
+
+  window.DB.Production = {
+    TABLE_NAME: 'production_batches',
+    STAFF_TABLE: 'production_shift_staff',
+
+    /**
+     * Validate and build a production row
+     */
+    toRecord(entry) {
+      const e = window.Costing.Production.normalizeEntry(entry);
+      if (!e.recipeId || !window.Costing.Sales.parseDate(e.date)) {
+        const error = new Error('Recipe and production date are required');
+        error.code = 'INVALID_PRODUCTION';
+        error.field = 'recipe_id';
+        throw error;
+      }
+      if (!(e.batches > 0) || e.actualYield < 0 || e.wasted < 0) {
+        const error = new Error('Batches must be above 0, yield and wastage 0 or more');
+        error.code = 'INVALID_PRODUCTION';
+        error.field = 'batches';
+        throw error;
+      }
+
+      return {
+        recipe_id: e.recipeId,
+        production_date: e.date,
+        batches: e.batches,
+        actual_yield: e.actualYield,
+        wasted_quantity: e.wasted,
+        location: e.locationId,
+        notes: e.notes ? String(e.notes).trim() : null
+      };
+    },
+
+    /**
+     * Record a production run with the staff on shift
+     */
+    async record(entry) {
+      const record = this.toRecord(entry);
+      const staffIds = window.Costing.Production.normalizeEntry(entry).staffIds;
+      const client = window.DB.Base.getClient();
+
+      const { data: batch } = await window.DB.Base.create(this.TABLE_NAME, record);
+
+      if (staffIds.length > 0) {
+        const { error } = await client
+          .from(this.STAFF_TABLE)
+          .insert(staffIds.map(staffId => ({ batch_id: batch.id, staff_id: staffId })));
+
+        if (error) {
+          // Rollback: delete the batch
+          await window.DB.Base.delete(this.TABLE_NAME, batch.id);
+          throw error;
+        }
+      }
+
+      return { data: batch, error: null };
+    },
+
+    /**
+     * All production runs of the organization, oldest first (stock consumption for inventory valuation)
+     */
+    async list() {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .select('*')
+        .eq('organization_id', orgId)
+        .order('production_date', { ascending: true });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    },
+
+    /**
+     * Production runs between two dates (inclusive) with their staff, newest first
+     */
+    async listBetween(from, to) {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .select(`*, ${this.STAFF_TABLE}(staff_id)`)
+        .eq('organization_id', orgId)
+        .gte('production_date', from)
+        .lte('production_date', to)
+        .order('production_date', { ascending: false });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    },
+
+    /**
+     * Delete a production run (its staff rows cascade)
+     */
+    async delete(id) {
+      return await window.DB.Base.delete(this.TABLE_NAME, id);
+    }
+  };
+
+  console.log('✅ DB.Production module loaded');
+})();
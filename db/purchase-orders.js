@@ -0,0 +1,247 @@
+// Purchase Orders Database Operations
+// Creates purchase orders and receives them into stock, updating ingredient and supplier prices
+
+(function() {
+  'use strict';
+
+  window.DB = window.DB || {};
+
+  window.DB.PurchaseOrders = {
+    TABLE_NAME: 'purchase_orders',
+    LINES_TABLE: 'purchase_order_lines',
+    // Minutes after which an order stuck in 'receiving' may be received again
+    RECEIVING_TIMEOUT_MINUTES: 10,
+
+    /**
+     * Validate and build an order line
+     */
+    toLineRecord(orderId, line) {
+      const quantity = parseFloat(line.quantity);
+      const price = parseFloat(line.price !== undefined ? line.price : line.unit_price);
+      const ingredientId = line.ingredientId || line.ingredient_id;
+      if (!ingredientId || !(quantity > 0) || isNaN(price) || price < 0) {
+        const error = new Error('Each line needs an ingredient, a quantity above 0 and a price of 0 or more');
+        error.code = 'INVALID_PO_LINE';
+        error.field = 'lines';
+        throw error;
+      }
+      return { po_id: orderId, ingredient_id: ingredientId, quantity, unit_price: price };
+    },
+
+    /**
+     * Create a purchase order with its lines
+     */
+    async create(orderData) {
+      const { po_number, supplier_id, order_date, lines } = orderData;
+
+      if (!po_number || !supplier_id || !(lines || []).length) {
+        throw new Error('PO number, supplier and at least one line are required');
+      }
+
+      // Validate lines before anything is written
+      lines.forEach(line => this.toLineRecord(null, line));
+
+      const client = window.DB.Base.getClient();
+      const { data: order } = await window.DB.Base.create(this.TABLE_NAME, {
+        po_number,
+        supplier_id,
+        order_date: order_date || window.Costing.Engine.toISODate(),
+        status: 'draft'
+      });
+
+      const { error } = await client
+        .from(this.LINES_TABLE)
+        .insert(lines.map(line => this.toLineRecord(order.id, line)));
+
+      if (error) {
+        // Rollback: delete the order
+        await window.DB.Base.delete(this.TABLE_NAME, order.id);
+        throw error;
+      }
+
+      return { data: order, error: null };
+    },
+
+    /**
+     * Get a purchase order with its lines
+     */
+    async getById(id) {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .select(`*, ${this.LINES_TABLE}(*), suppliers(name)`)
+        .eq('id', id)
+        .eq('organization_id', orgId)
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    },
+
+    /**
+     * List purchase orders with their lines, newest first
+     */
+    async list() {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .select(`*, ${this.LINES_TABLE}(*)`)
+        .eq('organization_id', orgId)
+        .order('order_date', { ascending: false });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    },
+
+    /**
+     * Mark an order as sent to the supplier
+     */
+    async markSent(id) {
+      return await window.DB.Base.update(this.TABLE_NAME, id, { status: 'sent' });
+    },
+
+    /**
+     * Whether an order was left in 'receiving' longer than RECEIVING_TIMEOUT_MINUTES
+     * (a closed tab or lost connection) and may be claimed again
+     */
+    isReceivingAbandoned(order) {
+      const claimedAt = new Date(order.updated_at).getTime();
+      return order.status === 'receiving' && Date.now() - claimedAt > this.RECEIVING_TIMEOUT_MINUTES * 60 * 1000;
+    },
+
+    /**
+     * Delete the stock booked by an abandoned receive (movements created after it claimed the order)
+     */
+    async deleteAbandonedStock(order) {
+      const client = window.DB.Base.getClient();
+
+      const { error } = await client
+        .from(window.DB.Stock.TABLE_NAME)
+        .delete()
+        .eq('organization_id', window.DB.Base.getOrganizationId())
+        .eq('movement_type', 'purchase')
+        .eq('note', order.po_number)
+        .gte('created_at', order.updated_at);
+
+      if (error) throw error;
+    },
+
+    /**
+     * Receive an order into stock at a location
+     * All lines are booked as purchase stock movements in one insert and the order is marked
+     * received; only then are the ingredient prices (recorded in the price history against the
+     * supplier) and the supplier's quoted prices updated
+     * The order is claimed as 'receiving' first, so a retry or a second device cannot book it twice.
+     * An order abandoned in 'receiving' is reclaimed: stock booked by the lost attempt is removed
+     */
+    async receive(id, receivedDate = null, location = null) {
+      const { data: order } = await this.getById(id);
+      const abandoned = this.isReceivingAbandoned(order);
+      if (order.status === 'received' || (order.status === 'receiving' && !abandoned)) {
+        const error = new Error(`${order.po_number} ${order.status === 'received' ? 'has already been' : 'is already being'} received`);
+        error.code = 'PO_RECEIVED';
+        error.field = 'status';
+        throw error;
+      }
+
+      // Status to reopen the order with if this attempt fails (an abandoned order reopens as sent)
+      const openStatus = abandoned ? 'sent' : order.status;
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+      let claim = client
+        .from(this.TABLE_NAME)
+        .update({ status: 'receiving' })
+        .eq('id', id)
+        .eq('organization_id', orgId)
+        .eq('status', order.status);
+      // Two devices reclaiming the same abandoned order: only the first one matches
+      if (abandoned) claim = claim.eq('updated_at', order.updated_at);
+      const { data: claimed, error: claimError } = await claim.select('id');
+
+      if (claimError) throw claimError;
+      if (!(claimed || []).length) {
+        const error = new Error(`${order.po_number} is already being received`);
+        error.code = 'PO_RECEIVED';
+        error.field = 'status';
+        throw error;
+      }
+
+      const date = receivedDate || window.Costing.Engine.toISODate();
+      let movements = [];
+      let received = null;
+
+      try {
+        if (abandoned) await this.deleteAbandonedStock(order);
+
+        ({ data: movements } = await window.DB.Stock.recordMany(order[this.LINES_TABLE].map(line => ({
+          ingredient_id: line.ingredient_id,
+          movement_type: 'purchase',
+          movement_date: date,
+          quantity: line.quantity,
+          unit_cost: line.unit_price,
+          location,
+          note: order.po_number
+        }))));
+
+        ({ data: received } = await window.DB.Base.update(this.TABLE_NAME, id, { status: 'received', received_date: date }));
+      } catch (error) {
+        // Rollback: delete the stock booked for this order. If that fails too, the order stays
+        // 'receiving' and the stock is removed when the order is reclaimed
+        if (movements.length) await window.DB.Stock.deleteMany(movements.map(movement => movement.id));
+        movements = [];
+        throw error;
+      } finally {
+        // Always reopen an order that was not received and has no stock left booked
+        if (!received && !movements.length) {
+          try {
+            await window.DB.Base.update(this.TABLE_NAME, id, { status: openStatus });
+          } catch (resetError) {
+            console.error(`❌ Could not reopen ${order.po_number}; it can be received again after ${this.RECEIVING_TIMEOUT_MINUTES} minutes:`, resetError);
+          }
+        }
+      }
+
+      // Prices follow the booked stock; a failure here leaves the order received and is reported
+      const supplierName = order.suppliers ? order.suppliers.name : null;
+      for (const line of order[this.LINES_TABLE]) {
+        await window.DB.Ingredients.update(line.ingredient_id, {
+          price_per_unit: line.unit_price,
+          effective_from: date,
+          supplier: supplierName
+        });
+        await window.DB.Suppliers.setPrice(order.supplier_id, line.ingredient_id, line.unit_price);
+      }
+
+      if (window.UI && window.UI.Toast) {
+        window.UI.Toast.show(`✅ ${order.po_number} received into stock`, 'success');
+      }
+
+      return { data: { order: received, movements }, error: null };
+    },
+
+    /**
+     * Delete an order that has not been received (its lines cascade)
+     * An order abandoned in 'receiving' can be deleted once its stock has been removed
+     */
+    async delete(id) {
+      const { data: order } = await window.DB.Base.getById(this.TABLE_NAME, id);
+      const abandoned = this.isReceivingAbandoned(order);
+      if (order.status === 'received' || (order.status === 'receiving' && !abandoned)) {
+        const error = new Error(order.status === 'received'
+          ? 'Received orders cannot be deleted; their stock has been booked'
+          : `${order.po_number} is being received; try again in a few minutes`);
+        error.code = 'PO_RECEIVED';
+        error.field = 'status';
+        throw error;
+      }
+      if (abandoned) await this.deleteAbandonedStock(order);
+      return await window.DB.Base.delete(this.TABLE_NAME, id);
+    }
+  };
+
+  console.log('✅ DB.PurchaseOrders module loaded');
+})();
@@ -9,12 +9,17 @@
   window.DB.Recipes = {
     TABLE_NAME: 'recipes',
     JUNCTION_TABLE: 'recipe_ingredients',
+    PACKAGING_TABLE: 'recipe_packaging',
+    OUTLETS_TABLE: 'recipe_outlets',
+    BOX_ITEMS_TABLE: 'recipe_box_items',
 
     /**
      * Create a new recipe with ingredients
      */
     async create(recipeData) {
-      const { name, category, selling_price, wastage_percentage, daily_production, ingredients } = recipeData;
+      const { name, category, selling_price, wastage_percentage, daily_production, ingredients, packaging, location, outlets, box_items } = recipeData;
+      const preparation = this.parsePreparation(recipeData);
+      const batch = this.parseBatch(recipeData);
       
       // Validate required fields
       if (!name || !category || selling_price === undefined) {
@@ -34,6 +39,11 @@
       const user = window.DB.Base.getCurrentUser();
       const orgId = window.DB.Base.getOrganizationId();
       
+      // Validate packaging, outlets and box contents before anything is written
+      (packaging || []).forEach(item => this.toPackagingRecord(null, item));
+      (outlets || []).forEach(outlet => this.toOutletRecord(null, outlet));
+      if (recipeData.is_box) this.parseBoxItems(box_items);
+      
       // Create recipe (transaction-like behavior)
       let createdRecipe = null;
       
@@ -47,6 +57,10 @@
             selling_price: parseFloat(selling_price),
             wastage_percentage: parseFloat(wastage_percentage || 0),
             daily_production: parseInt(daily_production || 50),
+            ...preparation,
+            ...batch,
+            location: location || null,
+            is_box: !!recipeData.is_box,
             organization_id: orgId,
             created_by: user.id
           })
@@ -58,11 +72,7 @@
         
         // Step 2: Add ingredients if provided
         if (ingredients && ingredients.length > 0) {
-          const ingredientRecords = ingredients.map(ing => ({
-            recipe_id: recipe.id,
-            ingredient_id: ing.ingredient_id,
-            quantity: parseFloat(ing.quantity)
-          }));
+          const ingredientRecords = ingredients.map(ing => this.toIngredientRecord(recipe.id, ing));
           
           const { error: ingredientsError } = await client
             .from(this.JUNCTION_TABLE)
@@ -78,6 +88,54 @@
           }
         }
         
+        // Step 3: Add packaging if provided
+        if (packaging && packaging.length > 0) {
+          const { error: packagingError } = await client
+            .from(this.PACKAGING_TABLE)
+            .insert(packaging.map(item => this.toPackagingRecord(recipe.id, item)));
+          
+          if (packagingError) {
+            // Rollback: Delete the recipe (its ingredient rows cascade)
+            await client
+              .from(this.TABLE_NAME)
+              .delete()
+              .eq('id', recipe.id);
+            throw packagingError;
+          }
+        }
+        
+        // Step 4: Add outlets if provided
+        if (outlets && outlets.length > 0) {
+          const { error: outletsError } = await client
+            .from(this.OUTLETS_TABLE)
+            .insert(outlets.map(outlet => this.toOutletRecord(recipe.id, outlet)));
+          
+          if (outletsError) {
+            // Rollback: Delete the recipe (its ingredient and packaging rows cascade)
+            await client
+              .from(this.TABLE_NAME)
+              .delete()
+              .eq('id', recipe.id);
+            throw outletsError;
+          }
+        }
+        
+        // Step 5: Add box contents for assorted boxes
+        if (recipeData.is_box) {
+          const { error: boxError } = await client
+            .from(this.BOX_ITEMS_TABLE)
+            .insert(box_items.map(item => this.toBoxItemRecord(recipe.id, item)));
+          
+          if (boxError) {
+            // Rollback: Delete the recipe (its other rows cascade)
+            await client
+              .from(this.TABLE_NAME)
+              .delete()
+              .eq('id', recipe.id);
+            throw boxError;
+          }
+        }
+        
         // Show success toast
         if (window.UI && window.UI.Toast) {
           window.UI.Toast.show(`✅ Recipe "${name}" created`, 'success');
@@ -90,17 +148,260 @@
       }
     },
 
+    /**
+     * Fetch recipe rows (with ingredients) from the recipe_details view
+     */
+    async fetchDetails() {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+      
+      const { data, error } = await client
+        .from('recipe_details')
+        .select('*')
+        .eq('organization_id', orgId)
+        .order('created_at', { ascending: false });
+      
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * Build a costing context from the multi-table data
+     * Overhead is allocated across all recipes, so every recipe row is part of the context
+     * With weighted average or FIFO valuation, recipes are costed at the valued stock cost
+     */
+    async getCostingContext(recipeRows = null) {
+      const [ingredientsResult, staffResult, orgResult, historyResult, packagingResult, locationsResult, rows] = await Promise.all([
+        window.DB.Ingredients.list(),
+        window.DB.Staff.list(),
+        window.DB.Organizations.get(),
+        window.DB.PriceHistory.list(),
+        window.DB.Packaging.list(),
+        window.DB.Locations.list(),
+        recipeRows || this.fetchDetails()
+      ]);
+      
+      const recipes = {};
+      rows.forEach(recipe => {
+        recipes[recipe.id] = recipe;
+      });
+      
+      const ingredients = {};
+      ingredientsResult.data.forEach(ing => {
+        ingredients[ing.id] = ing;
+      });
+      
+      const staff = {};
+      staffResult.data.forEach(member => {
+        staff[member.id] = member;
+      });
+      
+      const packaging = {};
+      packagingResult.data.forEach(item => {
+        packaging[item.id] = item;
+      });
+      
+      const locations = {};
+      locationsResult.data.forEach(location => {
+        locations[location.id] = location;
+      });
+      
+      const data = {
+        ingredients,
+        recipes,
+        staff,
+        packaging,
+        locations,
+        shop_overhead: orgResult.data?.shop_overhead,
+        factory_overhead: orgResult.data?.factory_overhead,
+        price_history: historyResult.data,
+        settings: orgResult.data?.costing_settings
+      };
+      
+      // The stock ledger is only replayed when a valuation method needs it
+      if (window.Costing.Engine.resolveSettings(data.settings).valuationMethod === 'latest') {
+        return window.Costing.Engine.createContext(data);
+      }
+      const [stockResult, productionResult] = await Promise.all([
+        window.DB.Stock.list(),
+        window.DB.Production.list()
+      ]);
+      return window.Costing.Valuation.createContext(data, stockResult.data, productionResult.data);
+    },
+
+    /**
+     * Attach the costing engine breakdown to a recipe row
+     */
+    attachCosts(recipe, context) {
+      const breakdown = window.Costing.Engine.computeBreakdown(recipe, context);
+      recipe.cost_breakdown = breakdown;
+      recipe.raw_material_cost = breakdown.raw;
+      recipe.total_cost = breakdown.total;
+      recipe.tax_breakdown = window.Costing.Tax.computeTaxBreakdown(recipe, context);
+      return recipe;
+    },
+
+    /**
+     * Validate the preparation fields of a recipe (is_preparation, yield_quantity, yield_unit)
+     */
+    parsePreparation(recipeData) {
+      if (!recipeData.is_preparation) {
+        return { is_preparation: false, yield_quantity: null, yield_unit: null };
+      }
+      const yieldQuantity = parseFloat(recipeData.yield_quantity);
+      if (!(yieldQuantity > 0)) {
+        const error = new Error('Preparations need a yield quantity greater than 0');
+        error.code = 'INVALID_YIELD';
+        error.field = 'yield_quantity';
+        throw error;
+      }
+      return {
+        is_preparation: true,
+        yield_quantity: yieldQuantity,
+        yield_unit: window.Costing.Units.require(recipeData.yield_unit)
+      };
+    },
+
+    /**
+     * Validate the batch fields of a recipe (sale_unit, batch_weight_kg, batch_count, piece_weight_g, price_per_kg)
+     */
+    parseBatch(recipeData) {
+      const saleUnit = recipeData.sale_unit || 'item';
+      if (!window.Costing.Engine.SALE_UNITS[saleUnit]) {
+        const error = new Error(`Unknown sale unit "${saleUnit}". Use one of: ${Object.keys(window.Costing.Engine.SALE_UNITS).join(', ')}`);
+        error.code = 'INVALID_SALE_UNIT';
+        error.field = 'sale_unit';
+        throw error;
+      }
+      return {
+        sale_unit: saleUnit,
+        batch_weight_kg: parseFloat(recipeData.batch_weight_kg) > 0 ? parseFloat(recipeData.batch_weight_kg) : null,
+        batch_count: parseFloat(recipeData.batch_count) > 0 ? parseFloat(recipeData.batch_count) : null,
+        piece_weight_g: parseFloat(recipeData.piece_weight_g) > 0 ? parseFloat(recipeData.piece_weight_g) : null,
+        price_per_kg: parseFloat(recipeData.price_per_kg) > 0 ? parseFloat(recipeData.price_per_kg) : null
+      };
+    },
+
+    /**
+     * Validate the contents of an assorted box: at least one sweet, each with a weight in grams
+     */
+    parseBoxItems(boxItems) {
+      if (!(boxItems || []).length) {
+        const error = new Error('A box needs at least one sweet');
+        error.code = 'INVALID_BOX_ITEM';
+        error.field = 'box_items';
+        throw error;
+      }
+      return boxItems.map(item => this.toBoxItemRecord(null, item));
+    },
+
+    /**
+     * Build a recipe_box_items row (weight of one sweet in the box, in grams)
+     */
+    toBoxItemRecord(recipeId, item) {
+      const weight = parseFloat(item.weight_g);
+      if (!item.item_recipe_id || !(weight > 0)) {
+        const error = new Error('Each sweet in a box needs a weight above 0 g');
+        error.code = 'INVALID_BOX_ITEM';
+        error.field = 'box_items';
+        throw error;
+      }
+      return { recipe_id: recipeId, item_recipe_id: item.item_recipe_id, weight_g: weight };
+    },
+
+    /**
+     * Replace a recipe's rows in a child table (ingredients, packaging, outlets, box contents)
+     * The previous rows are put back if the new ones cannot be saved
+     */
+    async replaceRows(table, recipeId, records) {
+      const client = window.DB.Base.getClient();
+
+      const { data: previous, error: readError } = await client
+        .from(table)
+        .select('*')
+        .eq('recipe_id', recipeId);
+      if (readError) throw readError;
+
+      const { error: deleteError } = await client
+        .from(table)
+        .delete()
+        .eq('recipe_id', recipeId);
+      if (deleteError) throw deleteError;
+
+      if (records.length > 0) {
+        const { error: insertError } = await client
+          .from(table)
+          .insert(records);
+
+        if (insertError) {
+          // Rollback: Restore the previous rows
+          if (previous && previous.length > 0) {
+            await client.from(table).insert(previous);
+          }
+          throw insertError;
+        }
+      }
+    },
+
+    /**
+     * Build a recipe_ingredients row; unit is the unit the quantity was entered in
+     * (null means the ingredient's purchase unit, or the preparation's yield unit)
+     */
+    toIngredientRecord(recipeId, ing) {
+      return {
+        recipe_id: recipeId,
+        ingredient_id: ing.sub_recipe_id ? null : ing.ingredient_id,
+        sub_recipe_id: ing.sub_recipe_id || null,
+        quantity: parseFloat(ing.quantity),
+        unit: ing.unit ? window.Costing.Units.require(ing.unit) : null
+      };
+    },
+
+    /**
+     * Build a recipe_packaging row; per is 'sale_unit' (default) or 'batch'
+     */
+    toPackagingRecord(recipeId, item) {
+      const per = item.per || 'sale_unit';
+      if (!window.Costing.Engine.PACKAGING_BASES[per]) {
+        const error = new Error(`Packaging must be counted per ${Object.keys(window.Costing.Engine.PACKAGING_BASES).join(' or ')}`);
+        error.code = 'INVALID_PACKAGING_BASIS';
+        error.field = 'per';
+        throw error;
+      }
+      return {
+        recipe_id: recipeId,
+        packaging_id: item.packaging_id,
+        quantity: parseFloat(item.quantity),
+        per
+      };
+    },
+
+    /**
+     * Build a recipe_outlets row; a missing price means the recipe's selling_price
+     */
+    toOutletRecord(recipeId, outlet) {
+      const price = outlet.selling_price === undefined || outlet.selling_price === null || outlet.selling_price === ''
+        ? null : parseFloat(outlet.selling_price);
+      if (!outlet.location || (price !== null && !(price >= 0))) {
+        const error = new Error('Each outlet needs a location and a price of 0 or more');
+        error.code = 'INVALID_OUTLET';
+        error.field = 'outlets';
+        throw error;
+      }
+      return { recipe_id: recipeId, location: outlet.location, selling_price: price };
+    },
+
     /**
      * Get recipe by ID with ingredients
      */
-    async getById(id) {
+    async getById(id, costingContext = null) {
       const client = window.DB.Base.getClient();
       const orgId = window.DB.Base.getOrganizationId();
       
       // Get recipe
       const { data: recipe, error: recipeError } = await client
         .from(this.TABLE_NAME)
-        .select('*')
+        .select(`*, ${this.OUTLETS_TABLE}(location, selling_price), ${this.BOX_ITEMS_TABLE}!recipe_id(item_recipe_id, weight_g)`)
         .eq('id', id)
         .eq('organization_id', orgId)
         .single();
@@ -112,6 +413,8 @@
         .from(this.JUNCTION_TABLE)
         .select(`
           quantity,
+          unit,
+          sub_recipe_id,
           ingredient:ingredients(*)
         `)
         .eq('recipe_id', id);
@@ -121,34 +424,69 @@
       // Format response
       recipe.ingredients = ingredients.map(item => ({
         ...item.ingredient,
-        quantity: item.quantity
+        ingredient_id: item.ingredient?.id,
+        sub_recipe_id: item.sub_recipe_id,
+        quantity: item.quantity,
+        quantity_unit: item.unit
       }));
       
+      // Get packaging
+      const { data: packaging, error: packagingError } = await client
+        .from(this.PACKAGING_TABLE)
+        .select(`
+          quantity,
+          per,
+          item:packaging_items(*)
+        `)
+        .eq('recipe_id', id);
+      
+      if (packagingError) throw packagingError;
+      
+      recipe.packaging = packaging.map(row => ({
+        ...row.item,
+        packaging_id: row.item?.id,
+        quantity: row.quantity,
+        per: row.per
+      }));
+      
+      const context = costingContext || await this.getCostingContext();
+      this.attachCosts(recipe, context);
+      
       return { data: recipe, error: null };
     },
 
     /**
-     * List all recipes with ingredient summary
+     * What a recipe cost on a date (YYYY-MM-DD), from the ingredient price history
      */
-    async list() {
-      const client = window.DB.Base.getClient();
-      const orgId = window.DB.Base.getOrganizationId();
+    async getCostOn(id, date) {
+      const context = await this.getCostingContext();
+      const recipe = context.recipes[id];
+      if (!recipe) {
+        const error = new Error('Recipe not found');
+        error.code = 'NOT_FOUND';
+        throw error;
+      }
+      return { data: window.Costing.Engine.computeBreakdownOn(recipe, date, context), error: null };
+    },
+
+    /**
+     * List all recipes with ingredient summary and cost breakdown
+     */
+    async list(costingContext = null) {
+      const recipes = await this.fetchDetails();
       
-      const { data, error } = await client
-        .from('recipe_details')
-        .select('*')
-        .eq('organization_id', orgId)
-        .order('created_at', { ascending: false });
+      if (recipes.length > 0) {
+        const context = costingContext || await this.getCostingContext(recipes);
+        recipes.forEach(recipe => this.attachCosts(recipe, context));
+      }
       
-      if (error) throw error;
-      return { data: data || [], error: null };
+      return { data: recipes, error: null };
     },
 
     /**
      * Update a recipe
      */
     async update(id, updates, expectedVersion = null) {
-      const client = window.DB.Base.getClient();
       const orgId = window.DB.Base.getOrganizationId();
       
       // If name is being updated, check for duplicates
@@ -177,10 +515,41 @@
       if (updates.daily_production !== undefined) {
         updates.daily_production = parseInt(updates.daily_production);
       }
+      if (updates.is_preparation !== undefined) {
+        Object.assign(updates, this.parsePreparation(updates));
+      }
+      // Only the batch fields sent are written, so a partial update keeps the stored ones
+      const batchFields = ['sale_unit', 'batch_weight_kg', 'batch_count', 'piece_weight_g', 'price_per_kg'];
+      if (batchFields.some(field => updates[field] !== undefined)) {
+        const batch = this.parseBatch(updates);
+        batchFields.forEach(field => {
+          if (updates[field] !== undefined) updates[field] = batch[field];
+        });
+      }
+      if (updates.location !== undefined) {
+        updates.location = updates.location || null;
+      }
       
-      // Handle ingredients update separately
+      // Handle ingredients, packaging, outlets and box contents updates separately
       const ingredientsUpdate = updates.ingredients;
       delete updates.ingredients;
+      const packagingUpdate = updates.packaging;
+      delete updates.packaging;
+      const outletsUpdate = updates.outlets;
+      delete updates.outlets;
+      // A recipe that is no longer a box loses its contents
+      const clearingBox = updates.is_box !== undefined && !updates.is_box;
+      const boxItemsUpdate = clearingBox ? [] : updates.box_items;
+      delete updates.box_items;
+      
+      // A preparation must not end up using itself through other preparations
+      if (ingredientsUpdate && ingredientsUpdate.some(ing => ing.sub_recipe_id)) {
+        const context = await this.getCostingContext();
+        window.Costing.Engine.assertNoCycle(id, { ingredients: ingredientsUpdate }, context);
+      }
+      (packagingUpdate || []).forEach(item => this.toPackagingRecord(id, item));
+      (outletsUpdate || []).forEach(outlet => this.toOutletRecord(id, outlet));
+      if (boxItemsUpdate !== undefined && !clearingBox) this.parseBoxItems(boxItemsUpdate);
       
       try {
         // Update recipe metadata
@@ -193,24 +562,22 @@
         
         // Update ingredients if provided
         if (ingredientsUpdate !== undefined) {
-          // Delete existing ingredients
-          await client
-            .from(this.JUNCTION_TABLE)
-            .delete()
-            .eq('recipe_id', id);
-          
-          // Add new ingredients
-          if (ingredientsUpdate.length > 0) {
-            const ingredientRecords = ingredientsUpdate.map(ing => ({
-              recipe_id: id,
-              ingredient_id: ing.ingredient_id,
-              quantity: parseFloat(ing.quantity)
-            }));
-            
-            await client
-              .from(this.JUNCTION_TABLE)
-              .insert(ingredientRecords);
-          }
+          await this.replaceRows(this.JUNCTION_TABLE, id, ingredientsUpdate.map(ing => this.toIngredientRecord(id, ing)));
+        }
+        
+        // Replace packaging if provided
+        if (packagingUpdate !== undefined) {
+          await this.replaceRows(this.PACKAGING_TABLE, id, packagingUpdate.map(item => this.toPackagingRecord(id, item)));
+        }
+        
+        // Replace outlets if provided
+        if (outletsUpdate !== undefined) {
+          await this.replaceRows(this.OUTLETS_TABLE, id, outletsUpdate.map(outlet => this.toOutletRecord(id, outlet)));
+        }
+        
+        // Replace box contents if provided (emptied when the recipe stops being a box)
+        if (boxItemsUpdate !== undefined) {
+          await this.replaceRows(this.BOX_ITEMS_TABLE, id, boxItemsUpdate.map(item => this.toBoxItemRecord(id, item)));
         }
         
         // Show success toast
@@ -0,0 +1,166 @@
+// Sales Database Operations
+// Records actual quantities sold per recipe, outlet and day, from daily entry or POS CSV imports
+
+(function() {
+  'use strict';
+
+  window.DB = window.DB || {};
+
+  window.DB.Sales = {
+    TABLE_NAME: 'sales_entries',
+    IMPORTS_TABLE: 'sales_imports',
+
+    /**
+     * Build a sales row; price and cost are per sale unit, as of the sale date
+     */
+    toRecord(entry, source = 'manual', importId = null) {
+      const e = window.Costing.Sales.normalizeEntry(entry);
+      if (!window.Costing.Sales.parseDate(e.date)) {
+        const error = new Error('A sale date (YYYY-MM-DD) is required');
+        error.code = 'INVALID_SALE';
+        error.field = 'sale_date';
+        throw error;
+      }
+      if (!(e.quantity > 0) || e.unitPrice < 0 || e.unitCost < 0) {
+        const error = new Error('Quantity sold must be above 0, price and cost 0 or more');
+        error.code = 'INVALID_SALE';
+        error.field = 'quantity';
+        throw error;
+      }
+
+      return {
+        sale_date: e.date,
+        recipe_id: e.recipeId || null,
+        item_name: e.name.trim(),
+        outlet: e.outlet.trim(),
+        location: e.locationId,
+        quantity: e.quantity,
+        unit_price: e.unitPrice,
+        unit_cost: e.unitCost,
+        source,
+        import_id: importId
+      };
+    },
+
+    /**
+     * Replace the manually entered sales of one outlet location on one day
+     * POS imports for the same day are left untouched
+     */
+    async replaceDay(date, locationId, entries) {
+      const client = window.DB.Base.getClient();
+      const user = window.DB.Base.getCurrentUser();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      // Validate before anything is deleted
+      const records = entries.map(entry => ({
+        ...this.toRecord({ ...entry, date, locationId }),
+        organization_id: orgId,
+        created_by: user.id
+      }));
+
+      const { error: deleteError } = await client
+        .from(this.TABLE_NAME)
+        .delete()
+        .eq('organization_id', orgId)
+        .eq('sale_date', date)
+        .eq('location', locationId)
+        .eq('source', 'manual');
+
+      if (deleteError) throw deleteError;
+
+      if (records.length > 0) {
+        const { error } = await client.from(this.TABLE_NAME).insert(records);
+        if (error) throw error;
+      }
+
+      return { data: records, error: null };
+    },
+
+    /**
+     * Import POS rows as one batch, so a wrong file can be removed again with deleteImport
+     */
+    async importRows(rows, { fileName = null } = {}) {
+      const client = window.DB.Base.getClient();
+      const user = window.DB.Base.getCurrentUser();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data: batch } = await window.DB.Base.create(this.IMPORTS_TABLE, {
+        file_name: fileName,
+        row_count: rows.length
+      });
+
+      try {
+        const records = rows.map(row => ({
+          ...this.toRecord(row, 'pos_import', batch.id),
+          organization_id: orgId,
+          created_by: user.id
+        }));
+        const { error } = await client.from(this.TABLE_NAME).insert(records);
+        if (error) throw error;
+      } catch (error) {
+        // Rollback: remove the batch (its entries cascade)
+        await window.DB.Base.delete(this.IMPORTS_TABLE, batch.id);
+        throw error;
+      }
+
+      if (window.UI && window.UI.Toast) {
+        window.UI.Toast.show(`✅ Imported ${rows.length} sales rows`, 'success');
+      }
+
+      return { data: batch, error: null };
+    },
+
+    /**
+     * Sales between two dates (inclusive), oldest first
+     */
+    async listBetween(from, to) {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .select('*')
+        .eq('organization_id', orgId)
+        .gte('sale_date', from)
+        .lte('sale_date', to)
+        .order('sale_date', { ascending: true });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    },
+
+    /**
+     * List POS import batches, newest first
+     */
+    async listImports() {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.IMPORTS_TABLE)
+        .select('*')
+        .eq('organization_id', orgId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    },
+
+    /**
+     * Delete a POS import batch and all of its sales rows
+     */
+    async deleteImport(importId) {
+      return await window.DB.Base.delete(this.IMPORTS_TABLE, importId);
+    },
+
+    /**
+     * Daily revenue, cost of goods and profit between two dates, newest first
+     */
+    async dailySummary(from, to, context) {
+      const { data } = await this.listBetween(from, to);
+      return window.Costing.Sales.dailySummary(data, context, { from, to });
+    }
+  };
+
+  console.log('✅ DB.Sales module loaded');
+})();
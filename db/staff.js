@@ -8,18 +8,23 @@
 
   window.DB.Staff = {
     TABLE_NAME: 'staff',
+    DEPARTMENTS: ['restaurant', 'sweets', 'shared'],
 
     /**
      * Create a new staff member
      */
     async create(staffData) {
-      const { name, role, salary } = staffData;
+      const { name, role, salary, department, location } = staffData;
       
       // Validate required fields
       if (!name || !role || salary === undefined) {
         throw new Error('Name, role, and salary are required');
       }
       
+      if (department && !this.DEPARTMENTS.includes(department)) {
+        throw new Error(`Department must be one of: ${this.DEPARTMENTS.join(', ')}`);
+      }
+      
       // Check for duplicate name (case-insensitive)
       const isDuplicate = await window.DB.Base.checkDuplicate(this.TABLE_NAME, name);
       if (isDuplicate) {
@@ -33,7 +38,9 @@
       const result = await window.DB.Base.create(this.TABLE_NAME, {
         name: name.trim(),
         role: role.trim(),
-        salary: parseFloat(salary)
+        salary: parseFloat(salary),
+        department: department || 'restaurant',
+        location: location || null
       });
       
       // Show success toast
@@ -85,6 +92,12 @@
       if (updates.salary !== undefined) {
         updates.salary = parseFloat(updates.salary);
       }
+      if (updates.department !== undefined && !this.DEPARTMENTS.includes(updates.department)) {
+        throw new Error(`Department must be one of: ${this.DEPARTMENTS.join(', ')}`);
+      }
+      if (updates.location !== undefined) {
+        updates.location = updates.location || null;
+      }
       
       const result = await window.DB.Base.update(
         this.TABLE_NAME, 
@@ -115,6 +128,22 @@
       return result;
     },
 
+    /**
+     * Get total payroll by department
+     */
+    async getPayrollByDepartment() {
+      const { data, error } = await this.list();
+      if (error) throw error;
+      
+      const totals = {};
+      this.DEPARTMENTS.forEach(dept => { totals[dept] = 0; });
+      data.forEach(staff => {
+        const dept = staff.department || 'restaurant';
+        totals[dept] = (totals[dept] || 0) + parseFloat(staff.salary);
+      });
+      return totals;
+    },
+
     /**
      * Get total payroll
      */
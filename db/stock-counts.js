@@ -0,0 +1,102 @@
+// Stock Counts Database Operations
+// Physical stock take sheets: one per location and date, with a counted quantity per ingredient
+
+(function() {
+  'use strict';
+
+  window.DB = window.DB || {};
+
+  window.DB.StockCounts = {
+    TABLE_NAME: 'stock_counts',
+    LINES_TABLE: 'stock_count_lines',
+
+    /**
+     * Validate a count sheet and build its lines
+     */
+    toLineRecords(countId, count) {
+      const c = window.Costing.StockTake.normalizeCount(count);
+      if (!window.Costing.Sales.parseDate(c.date)) {
+        const error = new Error('Count date is required');
+        error.code = 'INVALID_COUNT';
+        error.field = 'count_date';
+        throw error;
+      }
+
+      return Object.keys(c.counts).map(ingredientId => {
+        const quantity = parseFloat(c.counts[ingredientId]);
+        if (isNaN(quantity) || quantity < 0) {
+          const error = new Error('Counted quantities must be 0 or more');
+          error.code = 'INVALID_COUNT';
+          error.field = 'counted_quantity';
+          throw error;
+        }
+        return { count_id: countId, ingredient_id: ingredientId, counted_quantity: quantity };
+      });
+    },
+
+    /**
+     * Save a count sheet, replacing any sheet for the same location and date
+     */
+    async save(count) {
+      const c = window.Costing.StockTake.normalizeCount(count);
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      // Validate before anything is deleted
+      this.toLineRecords(null, c);
+
+      const { error: deleteError } = await client
+        .from(this.TABLE_NAME)
+        .delete()
+        .eq('organization_id', orgId)
+        .eq('count_date', c.date)
+        .eq('location', c.location);
+
+      if (deleteError) throw deleteError;
+
+      const { data: sheet } = await window.DB.Base.create(this.TABLE_NAME, {
+        count_date: c.date,
+        location: c.location,
+        note: c.note ? String(c.note).trim() : null
+      });
+
+      const lines = this.toLineRecords(sheet.id, c);
+      if (lines.length > 0) {
+        const { error } = await client.from(this.LINES_TABLE).insert(lines);
+        if (error) {
+          // Rollback: delete the sheet
+          await window.DB.Base.delete(this.TABLE_NAME, sheet.id);
+          throw error;
+        }
+      }
+
+      return { data: sheet, error: null };
+    },
+
+    /**
+     * List count sheets with their lines, newest first
+     */
+    async list() {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .select(`*, ${this.LINES_TABLE}(*)`)
+        .eq('organization_id', orgId)
+        .order('count_date', { ascending: false });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    },
+
+    /**
+     * Delete a count sheet (its lines cascade)
+     */
+    async delete(id) {
+      return await window.DB.Base.delete(this.TABLE_NAME, id);
+    }
+  };
+
+  console.log('✅ DB.StockCounts module loaded');
+})();
@@ -0,0 +1,116 @@
+// Stock Movements Database Operations
+// Records purchases, wastage and adjustments per ingredient (production consumption is derived)
+
+(function() {
+  'use strict';
+
+  window.DB = window.DB || {};
+
+  window.DB.Stock = {
+    TABLE_NAME: 'stock_movements',
+
+    /**
+     * Record a stock movement at a location; quantity is in the ingredient's purchase unit
+     * Adjustments may be negative, purchases and wastage must be above 0
+     */
+    async record(movement) {
+      return await window.DB.Base.create(this.TABLE_NAME, this.toRecord(movement));
+    },
+
+    /**
+     * Record several movements in one insert, so either all of them are booked or none
+     */
+    async recordMany(movements) {
+      const client = window.DB.Base.getClient();
+      const user = window.DB.Base.getCurrentUser();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const records = movements.map(movement => ({
+        ...this.toRecord(movement),
+        organization_id: orgId,
+        created_by: user.id
+      }));
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .insert(records)
+        .select();
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    },
+
+    /**
+     * Validate a movement and build its stock_movements row
+     */
+    toRecord(movement) {
+      const m = window.Costing.Stock.normalizeMovement(movement);
+      if (!m.ingredientId || !window.Costing.Stock.MOVEMENT_TYPES[m.type]) {
+        const error = new Error('Ingredient and a movement type (purchase, wastage, adjustment) are required');
+        error.code = 'INVALID_MOVEMENT';
+        error.field = 'movement_type';
+        throw error;
+      }
+      if (m.type === 'adjustment' ? m.quantity === 0 : !(m.quantity > 0)) {
+        const error = new Error('Quantity must be above 0 (adjustments: any non-zero amount)');
+        error.code = 'INVALID_MOVEMENT';
+        error.field = 'quantity';
+        throw error;
+      }
+
+      return {
+        ingredient_id: m.ingredientId,
+        movement_type: m.type,
+        movement_date: m.date || window.Costing.Engine.toISODate(),
+        quantity: m.quantity,
+        unit_cost: m.type === 'purchase' ? m.unitCost : null,
+        location: m.location,
+        note: m.note ? String(m.note).trim() : null
+      };
+    },
+
+    /**
+     * List all stock movements of the organization, oldest first
+     */
+    async list() {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .select('*')
+        .eq('organization_id', orgId)
+        .order('movement_date', { ascending: true })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    },
+
+    /**
+     * Delete a stock movement
+     */
+    async delete(id) {
+      return await window.DB.Base.delete(this.TABLE_NAME, id);
+    },
+
+    /**
+     * Delete several stock movements in one statement
+     */
+    async deleteMany(ids) {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { error } = await client
+        .from(this.TABLE_NAME)
+        .delete()
+        .eq('organization_id', orgId)
+        .in('id', ids);
+
+      if (error) throw error;
+      return { data: ids, error: null };
+    }
+  };
+
+  console.log('✅ DB.Stock module loaded');
+})();
@@ -0,0 +1,181 @@
+// Suppliers Database Operations
+// Handles the supplier directory and supplier-specific prices per ingredient
+
+(function() {
+  'use strict';
+
+  window.DB = window.DB || {};
+
+  window.DB.Suppliers = {
+    TABLE_NAME: 'suppliers',
+    PRICES_TABLE: 'supplier_prices',
+
+    /**
+     * Create a new supplier
+     */
+    async create(supplierData) {
+      const { name, phone, gstin, payment_terms } = supplierData;
+
+      // Validate required fields
+      if (!name) {
+        throw new Error('Name is required');
+      }
+
+      // Check for duplicate name (case-insensitive)
+      const isDuplicate = await window.DB.Base.checkDuplicate(this.TABLE_NAME, name);
+      if (isDuplicate) {
+        const error = new Error(`Supplier "${name}" already exists`);
+        error.code = 'DUPLICATE';
+        error.field = 'name';
+        throw error;
+      }
+
+      const result = await window.DB.Base.create(this.TABLE_NAME, {
+        name: name.trim(),
+        phone: phone ? String(phone).trim() : null,
+        gstin: window.Costing.Purchasing.parseGstin(gstin) || null,
+        payment_terms: this.parsePaymentTerms(payment_terms)
+      });
+
+      // Show success toast
+      if (window.UI && window.UI.Toast) {
+        window.UI.Toast.show(`✅ Supplier "${name}" added`, 'success');
+      }
+
+      return result;
+    },
+
+    /**
+     * Parse payment terms; defaults to cash on delivery
+     */
+    parsePaymentTerms(terms) {
+      if (!terms) return 'cash';
+      if (!window.Costing.Purchasing.PAYMENT_TERMS[terms]) {
+        const error = new Error(`Unknown payment terms "${terms}"`);
+        error.code = 'INVALID_PAYMENT_TERMS';
+        error.field = 'payment_terms';
+        throw error;
+      }
+      return terms;
+    },
+
+    /**
+     * List all suppliers
+     */
+    async list() {
+      return await window.DB.Base.list(this.TABLE_NAME);
+    },
+
+    /**
+     * Update a supplier
+     */
+    async update(id, updates, expectedVersion = null) {
+      // If name is being updated, check for duplicates
+      if (updates.name) {
+        const isDuplicate = await window.DB.Base.checkDuplicate(
+          this.TABLE_NAME,
+          updates.name,
+          id
+        );
+        if (isDuplicate) {
+          const error = new Error(`Supplier "${updates.name}" already exists`);
+          error.code = 'DUPLICATE';
+          error.field = 'name';
+          throw error;
+        }
+        updates.name = updates.name.trim();
+      }
+
+      if (updates.gstin !== undefined) {
+        updates.gstin = window.Costing.Purchasing.parseGstin(updates.gstin) || null;
+      }
+      if (updates.payment_terms !== undefined) {
+        updates.payment_terms = this.parsePaymentTerms(updates.payment_terms);
+      }
+
+      return await window.DB.Base.update(
+        this.TABLE_NAME,
+        id,
+        updates,
+        expectedVersion
+      );
+    },
+
+    /**
+     * Delete a supplier (its prices cascade; suppliers with purchase orders cannot be deleted)
+     */
+    async delete(id) {
+      try {
+        return await window.DB.Base.delete(this.TABLE_NAME, id);
+      } catch (error) {
+        // Check if deletion failed due to foreign key constraint
+        if (error.code === '23503') {
+          error.message = 'Cannot delete supplier. It has purchase orders.';
+          error.userMessage = 'This supplier has purchase orders. Delete its orders first.';
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Set (or replace) a supplier's price for an ingredient, per the ingredient's unit
+     */
+    async setPrice(supplierId, ingredientId, price) {
+      const value = parseFloat(price);
+      if (!supplierId || !ingredientId || isNaN(value) || value < 0) {
+        const error = new Error('Supplier, ingredient and a price of 0 or more are required');
+        error.code = 'INVALID_PRICE';
+        error.field = 'price_per_unit';
+        throw error;
+      }
+
+      const client = window.DB.Base.getClient();
+      const { data, error } = await client
+        .from(this.PRICES_TABLE)
+        .upsert({
+          supplier_id: supplierId,
+          ingredient_id: ingredientId,
+          price_per_unit: value,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'supplier_id,ingredient_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    },
+
+    /**
+     * Remove a supplier's price for an ingredient
+     */
+    async removePrice(supplierId, ingredientId) {
+      const client = window.DB.Base.getClient();
+      const { error } = await client
+        .from(this.PRICES_TABLE)
+        .delete()
+        .eq('supplier_id', supplierId)
+        .eq('ingredient_id', ingredientId);
+
+      if (error) throw error;
+      return { data: null, error: null };
+    },
+
+    /**
+     * All supplier prices of the organization's suppliers
+     */
+    async listPrices() {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.PRICES_TABLE)
+        .select(`*, ${this.TABLE_NAME}!inner(organization_id)`)
+        .eq(`${this.TABLE_NAME}.organization_id`, orgId);
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    }
+  };
+
+  console.log('✅ DB.Suppliers module loaded');
+})();
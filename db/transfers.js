@@ -0,0 +1,95 @@
+// Transfers Database Operations
+// Records dishes sent from a kitchen to an outlet with their cost and transfer price
+
+(function() {
+  'use strict';
+
+  window.DB = window.DB || {};
+
+  window.DB.Transfers = {
+    TABLE_NAME: 'location_transfers',
+
+    /**
+     * Validate and build a transfer row
+     * locations: resolved locations keyed by id (Engine.resolveLocations); transfers leave from a kitchen
+     */
+    toRecord(transfer, locations) {
+      const t = window.Costing.Transfers.normalizeTransfer(transfer);
+      if (!t.recipeId || !window.Costing.Sales.parseDate(t.date)) {
+        const error = new Error('Recipe and transfer date are required');
+        error.code = 'INVALID_TRANSFER';
+        error.field = 'recipe_id';
+        throw error;
+      }
+      if (!window.Costing.Transfers.isKitchen(t.fromLocationId, locations)) {
+        const error = new Error('Transfers are sent from a kitchen');
+        error.code = 'INVALID_TRANSFER';
+        error.field = 'from_location';
+        throw error;
+      }
+      if (t.fromLocationId === t.toLocationId) {
+        const error = new Error('A transfer must go to a different location');
+        error.code = 'INVALID_TRANSFER';
+        error.field = 'to_location';
+        throw error;
+      }
+      if (!(t.quantity > 0) || t.transferPrice < 0) {
+        const error = new Error('Quantity must be above 0 and the transfer price 0 or more');
+        error.code = 'INVALID_TRANSFER';
+        error.field = 'quantity';
+        throw error;
+      }
+
+      return {
+        recipe_id: t.recipeId,
+        transfer_date: t.date,
+        from_location: t.fromLocationId,
+        to_location: t.toLocationId,
+        quantity: t.quantity,
+        unit_cost: t.unitCost,
+        transfer_price: t.transferPrice,
+        pricing_rule: t.rule,
+        notes: t.notes ? String(t.notes).trim() : null
+      };
+    },
+
+    /**
+     * Record a transfer; locations are loaded when not given
+     */
+    async record(transfer, locations = null) {
+      if (!locations) {
+        const { data } = await window.DB.Locations.list();
+        locations = window.Costing.Engine.resolveLocations({ locations: data });
+      }
+      return await window.DB.Base.create(this.TABLE_NAME, this.toRecord(transfer, locations));
+    },
+
+    /**
+     * Transfers between two dates (inclusive), newest first
+     */
+    async listBetween(from, to) {
+      const client = window.DB.Base.getClient();
+      const orgId = window.DB.Base.getOrganizationId();
+
+      const { data, error } = await client
+        .from(this.TABLE_NAME)
+        .select('*')
+        .eq('organization_id', orgId)
+        .gte('transfer_date', from)
+        .lte('transfer_date', to)
+        .order('transfer_date', { ascending: false });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    },
+
+    /**
+     * Delete a transfer
+     */
+    async delete(id) {
+      return await window.DB.Base.delete(this.TABLE_NAME, id);
+    }
+  };
+
+  console.log('✅ DB.Transfers module loaded');
+})();
@@ -114,10 +114,12 @@
         const ingredient = ingredients[id];
         
         try {
+          // Old data used form spellings (gm, pc) that the table does not accept
           await window.DB.Ingredients.create({
             name: ingredient.name,
-            unit: ingredient.unit,
-            price_per_unit: ingredient.pricePerUnit || ingredient.price_per_unit || 0
+            unit: window.Costing.Units.require(ingredient.unit),
+            price_per_unit: ingredient.pricePerUnit || ingredient.price_per_unit || ingredient.price || 0,
+            density: ingredient.density
           });
           results.success++;
         } catch (error) {
@@ -146,9 +148,15 @@
         const member = staff[id];
         
         try {
+          // Missing departments default to the restaurant; unknown ones are reported rather than guessed
+          const department = member.department ? window.Costing.Engine.normalizeDepartment(member.department) : 'restaurant';
+          if (!department) {
+            throw new Error(`Unknown department "${member.department}" (use ${Object.keys(window.Costing.Engine.DEPARTMENTS).join(', ')})`);
+          }
           await window.DB.Staff.create({
             name: member.name,
-            role: member.department || member.role || 'Staff',
+            role: member.designation || member.role || 'Staff',
+            department,
             salary: member.salary || 0
           });
           results.success++;
@@ -251,6 +259,16 @@
         }
       }
       
+      // Migrate costing settings
+      const costingSettings = localStorage.getItem('restaurant_settings');
+      if (costingSettings) {
+        try {
+          updates.costing_settings = JSON.parse(costingSettings);
+        } catch (error) {
+          console.error('❌ Failed to parse costing settings:', error);
+        }
+      }
+      
       // Migrate profit margin
       const profitMargin = localStorage.getItem('restaurant_profitMargin');
       if (profitMargin) {
@@ -283,6 +301,7 @@
         shop_overhead: localStorage.getItem('restaurant_shop_overhead'),
         factory_overhead: localStorage.getItem('restaurant_factory_overhead'),
         profitMargin: localStorage.getItem('restaurant_profitMargin'),
+        settings: localStorage.getItem('restaurant_settings'),
         timestamp: new Date().toISOString()
       };
       
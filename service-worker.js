@@ -1,5 +1,5 @@
 // Service Worker for Gokul Sweets Cost Analytics PWA
-const CACHE_NAME = 'gokul-sweets-v4-multi-table'; // Bumped version for multi-table architecture
+const CACHE_NAME = 'gokul-sweets-v22-boxes'; // Bumped version for assorted boxes
 const urlsToCache = [
   './',
   './index.html',
@@ -7,9 +7,35 @@ const urlsToCache = [
   './config.js',
   './supabase-client.js',
   './auth.js',
+  './costing/units.js',
+  './costing/engine.js',
+  './costing/locations.js',
+  './costing/simulator.js',
+  './costing/pricing.js',
+  './costing/tax.js',
+  './costing/boxes.js',
+  './costing/breakeven.js',
+  './costing/sales.js',
+  './costing/menu-engineering.js',
+  './costing/production.js',
+  './costing/transfers.js',
+  './costing/stock.js',
+  './costing/valuation.js',
+  './costing/stock-take.js',
+  './costing/purchasing.js',
   './db/base.js',
   './db/ingredients.js',
   './db/recipes.js',
+  './db/price-history.js',
+  './db/packaging.js',
+  './db/sales.js',
+  './db/production.js',
+  './db/stock.js',
+  './db/suppliers.js',
+  './db/purchase-orders.js',
+  './db/stock-counts.js',
+  './db/locations.js',
+  './db/transfers.js',
   './db/staff.js',
   './db/organizations.js',
   './db/audit.js',
@@ -21,6 +47,7 @@ const urlsToCache = [
   './ui/error-handler.js',
   './ui/save-indicator.js',
   './ui/conflict-ui.js',
+  './ui/chart.js',
   './pwa/update-manager.js',
   './icons/icon-192.svg',
   './icons/icon-512.svg',
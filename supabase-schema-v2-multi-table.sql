@@ -39,6 +39,21 @@ CREATE TABLE IF NOT EXISTS organizations (
   
   profit_margin DECIMAL(5,2) DEFAULT 30.00,
   
+  -- Costing settings (see DEFAULT_SETTINGS in costing/engine.js)
+  costing_settings JSONB DEFAULT '{
+    "sharedPayrollSplit": { "restaurant": 50, "sweets": 50 },
+    "workingDaysPerMonth": 30,
+    "overheadSplit": {
+      "shop": { "labour": 60, "utilities": 40 },
+      "factory": { "labour": 60, "utilities": 40 }
+    },
+    "allocationBasis": "per_unit",
+    "pricingMode": "snapshot",
+    "categoryGstRates": { "restaurant": 5, "sweets": 5 },
+    "priceRounding": "nearest_5",
+    "valuationMethod": "latest"
+  }'::jsonb,
+  
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   version INTEGER DEFAULT 1,
@@ -90,6 +105,10 @@ CREATE TABLE IF NOT EXISTS ingredients (
   name TEXT NOT NULL,
   unit TEXT NOT NULL,
   price_per_unit DECIMAL(10,2) NOT NULL,
+  density DECIMAL(8,4), -- kg per L, converts volume to weight (optional)
+  gst_rate DECIMAL(5,2) DEFAULT 0, -- GST % included in price_per_unit
+  input_credit BOOLEAN DEFAULT FALSE, -- input GST is claimed back, so cost is net of it
+  reorder_level DECIMAL(10,3) DEFAULT 0, -- stock (in unit) at or below which to reorder
   
   -- Metadata
   created_by UUID REFERENCES auth.users(id),
@@ -101,12 +120,35 @@ CREATE TABLE IF NOT EXISTS ingredients (
   
   -- Constraints
   CONSTRAINT valid_price CHECK (price_per_unit >= 0),
-  CONSTRAINT valid_unit CHECK (unit IN ('kg', 'g', 'L', 'ml', 'pieces', 'dozen', 'packet')),
+  -- Canonical units from costing/units.js (aliases like gm/pc are normalized before insert)
+  CONSTRAINT valid_unit CHECK (unit IN ('kg', 'g', 'L', 'ml', 'pieces', 'dozen', 'packet', 'box', 'bottle')),
+  CONSTRAINT valid_density CHECK (density IS NULL OR density > 0),
+  CONSTRAINT valid_gst_rate CHECK (gst_rate >= 0 AND gst_rate <= 28),
+  CONSTRAINT valid_reorder_level CHECK (reorder_level >= 0),
   
   -- Prevent duplicates (case-insensitive)
   UNIQUE (organization_id, LOWER(name))
 );
 
+-- Upgrade existing databases to the unit registry
+ALTER TABLE ingredients ADD COLUMN IF NOT EXISTS density DECIMAL(8,4);
+ALTER TABLE ingredients DROP CONSTRAINT IF EXISTS valid_unit;
+ALTER TABLE ingredients ADD CONSTRAINT valid_unit
+  CHECK (unit IN ('kg', 'g', 'L', 'ml', 'pieces', 'dozen', 'packet', 'box', 'bottle'));
+ALTER TABLE ingredients DROP CONSTRAINT IF EXISTS valid_density;
+ALTER TABLE ingredients ADD CONSTRAINT valid_density CHECK (density IS NULL OR density > 0);
+
+-- Upgrade existing databases to the GST model
+ALTER TABLE ingredients ADD COLUMN IF NOT EXISTS gst_rate DECIMAL(5,2) DEFAULT 0;
+ALTER TABLE ingredients ADD COLUMN IF NOT EXISTS input_credit BOOLEAN DEFAULT FALSE;
+ALTER TABLE ingredients DROP CONSTRAINT IF EXISTS valid_gst_rate;
+ALTER TABLE ingredients ADD CONSTRAINT valid_gst_rate CHECK (gst_rate >= 0 AND gst_rate <= 28);
+
+-- Upgrade existing databases to the stock ledger
+ALTER TABLE ingredients ADD COLUMN IF NOT EXISTS reorder_level DECIMAL(10,3) DEFAULT 0;
+ALTER TABLE ingredients DROP CONSTRAINT IF EXISTS valid_reorder_level;
+ALTER TABLE ingredients ADD CONSTRAINT valid_reorder_level CHECK (reorder_level >= 0);
+
 -- Indexes
 CREATE INDEX IF NOT EXISTS idx_ingredients_org ON ingredients(organization_id);
 CREATE INDEX IF NOT EXISTS idx_ingredients_name ON ingredients(organization_id, LOWER(name));
@@ -124,6 +166,30 @@ CREATE TABLE IF NOT EXISTS recipes (
   wastage_percentage DECIMAL(5,2) DEFAULT 0,
   daily_production INTEGER DEFAULT 50,
   
+  -- Preparations (sugar syrup, khoya, masala bases) are made in-house and used as
+  -- ingredients of other recipes; their cost is expressed per yield_unit
+  is_preparation BOOLEAN DEFAULT FALSE,
+  yield_quantity DECIMAL(10,3),
+  yield_unit TEXT,
+  
+  -- Batch size and what selling_price is quoted per ('item' = one item per batch);
+  -- ingredient quantities describe one batch
+  sale_unit TEXT DEFAULT 'item' CHECK (sale_unit IN ('item', 'piece', 'plate', '250g', 'kg')),
+  batch_weight_kg DECIMAL(10,3),
+  batch_count DECIMAL(10,2),
+  
+  -- Location the recipe is produced at ('shop', 'factory' or a locations.id);
+  -- NULL = by category (sweets at the factory, everything else at the shop)
+  location TEXT,
+  
+  -- Sweets sold by weight: weight of one piece and the price quoted per kg
+  piece_weight_g DECIMAL(10,3),
+  price_per_kg DECIMAL(10,2),
+  
+  -- Assorted boxes are filled with other recipes by weight (recipe_box_items)
+  -- instead of ingredients; selling_price is the box price
+  is_box BOOLEAN DEFAULT FALSE,
+  
   -- Metadata
   created_by UUID REFERENCES auth.users(id),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -134,13 +200,34 @@ CREATE TABLE IF NOT EXISTS recipes (
   
   -- Constraints
   CONSTRAINT valid_selling_price CHECK (selling_price >= 0),
+  CONSTRAINT valid_weight_pricing CHECK ((piece_weight_g IS NULL OR piece_weight_g > 0) AND (price_per_kg IS NULL OR price_per_kg >= 0)),
   CONSTRAINT valid_wastage CHECK (wastage_percentage >= 0 AND wastage_percentage <= 100),
   CONSTRAINT valid_production CHECK (daily_production >= 0),
+  CONSTRAINT valid_yield CHECK (NOT is_preparation OR (yield_quantity > 0 AND yield_unit IN ('kg', 'g', 'L', 'ml', 'pieces', 'dozen', 'packet', 'box', 'bottle'))),
   
   -- Prevent duplicate recipe names
   UNIQUE (organization_id, LOWER(name))
 );
 
+-- Upgrade existing databases
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS is_preparation BOOLEAN DEFAULT FALSE;
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS yield_quantity DECIMAL(10,3);
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS yield_unit TEXT;
+ALTER TABLE recipes DROP CONSTRAINT IF EXISTS valid_yield;
+ALTER TABLE recipes ADD CONSTRAINT valid_yield
+  CHECK (NOT is_preparation OR (yield_quantity > 0 AND yield_unit IN ('kg', 'g', 'L', 'ml', 'pieces', 'dozen', 'packet', 'box', 'bottle')));
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS sale_unit TEXT DEFAULT 'item'
+  CHECK (sale_unit IN ('item', 'piece', 'plate', '250g', 'kg'));
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS batch_weight_kg DECIMAL(10,3);
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS batch_count DECIMAL(10,2);
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS location TEXT;
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS piece_weight_g DECIMAL(10,3);
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS price_per_kg DECIMAL(10,2);
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS is_box BOOLEAN DEFAULT FALSE;
+ALTER TABLE recipes DROP CONSTRAINT IF EXISTS valid_weight_pricing;
+ALTER TABLE recipes ADD CONSTRAINT valid_weight_pricing
+  CHECK ((piece_weight_g IS NULL OR piece_weight_g > 0) AND (price_per_kg IS NULL OR price_per_kg >= 0));
+
 -- Indexes
 CREATE INDEX IF NOT EXISTS idx_recipes_org ON recipes(organization_id);
 CREATE INDEX IF NOT EXISTS idx_recipes_category ON recipes(organization_id, category);
@@ -150,17 +237,50 @@ CREATE INDEX IF NOT EXISTS idx_recipes_name ON recipes(organization_id, LOWER(na
 -- TABLE 5: RECIPE INGREDIENTS (Junction Table)
 -- =============================================================================
 CREATE TABLE IF NOT EXISTS recipe_ingredients (
-  recipe_id UUID REFERENCES recipes(id) ON DELETE CASCADE,
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  recipe_id UUID REFERENCES recipes(id) ON DELETE CASCADE NOT NULL,
+  -- Each line uses either a purchased ingredient or a preparation (sub-recipe)
   ingredient_id UUID REFERENCES ingredients(id) ON DELETE RESTRICT,
+  sub_recipe_id UUID REFERENCES recipes(id) ON DELETE RESTRICT,
   quantity DECIMAL(10,3) NOT NULL,
+  -- Unit the quantity is entered in (e.g. 250 g of an ingredient bought per kg);
+  -- NULL means the ingredient's purchase unit. Converted at cost time by costing/units.js
+  unit TEXT,
   
-  PRIMARY KEY (recipe_id, ingredient_id),
-  CONSTRAINT valid_quantity CHECK (quantity > 0)
+  CONSTRAINT valid_quantity CHECK (quantity > 0),
+  CONSTRAINT valid_quantity_unit CHECK (unit IS NULL OR unit IN ('kg', 'g', 'L', 'ml', 'pieces', 'dozen', 'packet', 'box', 'bottle')),
+  CONSTRAINT one_component CHECK ((ingredient_id IS NULL) <> (sub_recipe_id IS NULL)),
+  -- Longer cycles are rejected by DB.Recipes before writing (costing/engine.js findCycle)
+  CONSTRAINT no_self_reference CHECK (sub_recipe_id IS DISTINCT FROM recipe_id)
 );
 
+-- Upgrade existing databases
+ALTER TABLE recipe_ingredients ADD COLUMN IF NOT EXISTS unit TEXT;
+ALTER TABLE recipe_ingredients DROP CONSTRAINT IF EXISTS valid_quantity_unit;
+ALTER TABLE recipe_ingredients ADD CONSTRAINT valid_quantity_unit
+  CHECK (unit IS NULL OR unit IN ('kg', 'g', 'L', 'ml', 'pieces', 'dozen', 'packet', 'box', 'bottle'));
+
+-- Sub-recipe lines have no ingredient_id, so the old (recipe_id, ingredient_id) key is
+-- replaced by a surrogate id and partial unique indexes
+ALTER TABLE recipe_ingredients ADD COLUMN IF NOT EXISTS id UUID DEFAULT gen_random_uuid();
+UPDATE recipe_ingredients SET id = gen_random_uuid() WHERE id IS NULL;
+ALTER TABLE recipe_ingredients DROP CONSTRAINT IF EXISTS recipe_ingredients_pkey;
+ALTER TABLE recipe_ingredients ADD PRIMARY KEY (id);
+ALTER TABLE recipe_ingredients ALTER COLUMN ingredient_id DROP NOT NULL;
+ALTER TABLE recipe_ingredients ADD COLUMN IF NOT EXISTS sub_recipe_id UUID REFERENCES recipes(id) ON DELETE RESTRICT;
+ALTER TABLE recipe_ingredients DROP CONSTRAINT IF EXISTS one_component;
+ALTER TABLE recipe_ingredients ADD CONSTRAINT one_component
+  CHECK ((ingredient_id IS NULL) <> (sub_recipe_id IS NULL));
+ALTER TABLE recipe_ingredients DROP CONSTRAINT IF EXISTS no_self_reference;
+ALTER TABLE recipe_ingredients ADD CONSTRAINT no_self_reference
+  CHECK (sub_recipe_id IS DISTINCT FROM recipe_id);
+
 -- Indexes
 CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_recipe ON recipe_ingredients(recipe_id);
 CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_ingredient ON recipe_ingredients(ingredient_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_sub_recipe ON recipe_ingredients(sub_recipe_id);
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_recipe_ingredient ON recipe_ingredients(recipe_id, ingredient_id) WHERE ingredient_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_recipe_sub_recipe ON recipe_ingredients(recipe_id, sub_recipe_id) WHERE sub_recipe_id IS NOT NULL;
 
 -- =============================================================================
 -- TABLE 6: STAFF
@@ -173,6 +293,14 @@ CREATE TABLE IF NOT EXISTS staff (
   role TEXT NOT NULL,
   salary DECIMAL(10,2) NOT NULL,
   
+  -- Payroll is allocated to recipes of the matching department;
+  -- shared staff are split by organizations.costing_settings.sharedPayrollSplit
+  department TEXT NOT NULL DEFAULT 'restaurant' CHECK (department IN ('restaurant', 'sweets', 'shared')),
+  
+  -- Location the staff member works at ('shop', 'factory' or a locations.id); their whole
+  -- salary is that location's payroll. NULL = allocated by department as above
+  location TEXT,
+  
   -- Metadata
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -183,8 +311,27 @@ CREATE TABLE IF NOT EXISTS staff (
   UNIQUE (organization_id, LOWER(name))
 );
 
+-- Upgrade existing databases
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS department TEXT NOT NULL DEFAULT 'restaurant'
+  CHECK (department IN ('restaurant', 'sweets', 'shared'));
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS location TEXT;
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS costing_settings JSONB DEFAULT '{
+  "sharedPayrollSplit": { "restaurant": 50, "sweets": 50 },
+  "workingDaysPerMonth": 30,
+  "overheadSplit": {
+    "shop": { "labour": 60, "utilities": 40 },
+    "factory": { "labour": 60, "utilities": 40 }
+  },
+  "allocationBasis": "per_unit",
+  "pricingMode": "snapshot",
+  "categoryGstRates": { "restaurant": 5, "sweets": 5 },
+  "priceRounding": "nearest_5",
+  "valuationMethod": "latest"
+}'::jsonb;
+
 -- Indexes
 CREATE INDEX IF NOT EXISTS idx_staff_org ON staff(organization_id);
+CREATE INDEX IF NOT EXISTS idx_staff_department ON staff(organization_id, department);
 
 -- =============================================================================
 -- TABLE 7: AUDIT LOG
@@ -210,6 +357,486 @@ CREATE INDEX IF NOT EXISTS idx_audit_org ON audit_log(organization_id);
 CREATE INDEX IF NOT EXISTS idx_audit_table ON audit_log(table_name, record_id);
 CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log(timestamp DESC);
 
+-- =============================================================================
+-- TABLE 8: INGREDIENT PRICE HISTORY
+-- =============================================================================
+-- One row per price change; costing as of a date uses the latest row with
+-- effective_from on or before that date (costing/engine.js getPriceOn)
+CREATE TABLE IF NOT EXISTS ingredient_price_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  ingredient_id UUID REFERENCES ingredients(id) ON DELETE CASCADE NOT NULL,
+  
+  price_per_unit DECIMAL(10,2) NOT NULL,
+  effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+  supplier TEXT,
+  
+  -- Metadata
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  -- Constraints
+  CONSTRAINT valid_history_price CHECK (price_per_unit >= 0)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_price_history_org ON ingredient_price_history(organization_id);
+CREATE INDEX IF NOT EXISTS idx_price_history_ingredient ON ingredient_price_history(ingredient_id, effective_from DESC);
+
+-- Seed existing ingredients with their current price
+INSERT INTO ingredient_price_history (organization_id, ingredient_id, price_per_unit, effective_from, created_by)
+SELECT i.organization_id, i.id, i.price_per_unit, i.created_at::date, i.created_by
+FROM ingredients i
+WHERE NOT EXISTS (SELECT 1 FROM ingredient_price_history h WHERE h.ingredient_id = i.id);
+
+-- =============================================================================
+-- TABLE 9: PACKAGING ITEMS
+-- =============================================================================
+-- Boxes, butter paper, carry bags and foil containers; kept apart from raw-material
+-- ingredients and costed as the "Packaging" line of the breakdown
+CREATE TABLE IF NOT EXISTS packaging_items (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  
+  name TEXT NOT NULL,
+  unit TEXT NOT NULL DEFAULT 'pieces',
+  cost_per_unit DECIMAL(10,2) NOT NULL,
+  
+  -- Metadata
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  -- Optimistic locking
+  version INTEGER DEFAULT 1,
+  
+  -- Constraints
+  CONSTRAINT valid_packaging_cost CHECK (cost_per_unit >= 0),
+  
+  -- Prevent duplicates (case-insensitive)
+  UNIQUE (organization_id, LOWER(name))
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_packaging_items_org ON packaging_items(organization_id);
+
+-- =============================================================================
+-- TABLE 10: RECIPE PACKAGING (Junction Table)
+-- =============================================================================
+-- quantity is counted per sale unit sold, or per whole batch (spread over its sale units)
+CREATE TABLE IF NOT EXISTS recipe_packaging (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  recipe_id UUID REFERENCES recipes(id) ON DELETE CASCADE NOT NULL,
+  packaging_id UUID REFERENCES packaging_items(id) ON DELETE RESTRICT NOT NULL,
+  quantity DECIMAL(10,3) NOT NULL,
+  per TEXT NOT NULL DEFAULT 'sale_unit',
+  
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  CONSTRAINT valid_packaging_quantity CHECK (quantity > 0),
+  CONSTRAINT valid_packaging_per CHECK (per IN ('sale_unit', 'batch')),
+  UNIQUE (recipe_id, packaging_id)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_recipe_packaging_recipe ON recipe_packaging(recipe_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_packaging_item ON recipe_packaging(packaging_id);
+
+-- =============================================================================
+-- TABLE 11: SALES IMPORTS
+-- =============================================================================
+-- One row per POS CSV import; deleting it removes the sales rows it brought in
+CREATE TABLE IF NOT EXISTS sales_imports (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  
+  file_name TEXT,
+  row_count INTEGER NOT NULL DEFAULT 0,
+  
+  -- Metadata
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_sales_imports_org ON sales_imports(organization_id, created_at DESC);
+
+-- =============================================================================
+-- TABLE 12: SALES ENTRIES
+-- =============================================================================
+-- Actual quantity sold per recipe, outlet and day. Price and cost of goods
+-- (material, wastage, packaging) per sale unit are saved as of the sale date,
+-- so later price changes do not rewrite past profit. item_name keeps the
+-- dish name readable after the recipe is deleted
+CREATE TABLE IF NOT EXISTS sales_entries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  recipe_id UUID REFERENCES recipes(id) ON DELETE SET NULL,
+  import_id UUID REFERENCES sales_imports(id) ON DELETE CASCADE,
+  
+  sale_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  item_name TEXT NOT NULL DEFAULT '',
+  outlet TEXT NOT NULL DEFAULT 'Main Shop',
+  location TEXT NOT NULL DEFAULT 'shop', -- outlet location ('shop' or a locations.id)
+  quantity DECIMAL(10,3) NOT NULL,
+  unit_price DECIMAL(10,2) NOT NULL,
+  unit_cost DECIMAL(10,2) NOT NULL DEFAULT 0,
+  source TEXT NOT NULL DEFAULT 'manual',
+  
+  -- Metadata
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  -- Constraints
+  CONSTRAINT valid_sale_quantity CHECK (quantity > 0),
+  CONSTRAINT valid_sale_amounts CHECK (unit_price >= 0 AND unit_cost >= 0),
+  CONSTRAINT valid_sale_source CHECK (source IN ('manual', 'pos_import'))
+);
+
+-- Upgrade existing databases to outlet locations
+ALTER TABLE sales_entries ADD COLUMN IF NOT EXISTS location TEXT NOT NULL DEFAULT 'shop';
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_sales_entries_org_date ON sales_entries(organization_id, sale_date DESC);
+CREATE INDEX IF NOT EXISTS idx_sales_entries_location ON sales_entries(organization_id, location, sale_date DESC);
+CREATE INDEX IF NOT EXISTS idx_sales_entries_recipe ON sales_entries(recipe_id, sale_date DESC);
+CREATE INDEX IF NOT EXISTS idx_sales_entries_import ON sales_entries(import_id);
+
+-- =============================================================================
+-- TABLE 13: PRODUCTION BATCHES
+-- =============================================================================
+-- One row per production run; actual_yield is in sale units (yield unit for
+-- preparations) and is compared with the recipe's expected yield and wastage %
+CREATE TABLE IF NOT EXISTS production_batches (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  recipe_id UUID REFERENCES recipes(id) ON DELETE CASCADE NOT NULL,
+  
+  production_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  batches DECIMAL(10,3) NOT NULL DEFAULT 1,
+  actual_yield DECIMAL(10,3) NOT NULL,
+  wasted_quantity DECIMAL(10,3) NOT NULL DEFAULT 0,
+  location TEXT, -- where the batch was made; NULL = the recipe's production location
+  notes TEXT,
+  
+  -- Metadata
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  -- Constraints
+  CONSTRAINT valid_production_batches CHECK (batches > 0),
+  CONSTRAINT valid_production_output CHECK (actual_yield >= 0 AND wasted_quantity >= 0)
+);
+
+-- Upgrade existing databases to production locations
+ALTER TABLE production_batches ADD COLUMN IF NOT EXISTS location TEXT;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_production_batches_org_date ON production_batches(organization_id, production_date DESC);
+CREATE INDEX IF NOT EXISTS idx_production_batches_recipe ON production_batches(recipe_id, production_date DESC);
+
+-- =============================================================================
+-- TABLE 14: PRODUCTION SHIFT STAFF (Junction Table)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS production_shift_staff (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  batch_id UUID REFERENCES production_batches(id) ON DELETE CASCADE NOT NULL,
+  staff_id UUID REFERENCES staff(id) ON DELETE CASCADE NOT NULL,
+  
+  UNIQUE (batch_id, staff_id)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_production_shift_staff_batch ON production_shift_staff(batch_id);
+CREATE INDEX IF NOT EXISTS idx_production_shift_staff_staff ON production_shift_staff(staff_id);
+
+-- =============================================================================
+-- TABLE 15: STOCK MOVEMENTS
+-- =============================================================================
+-- Purchases in, wastage and adjustments per ingredient, in its purchase unit.
+-- Production consumption is not stored: it is derived from production_batches
+-- × recipe ingredient quantities (costing/stock.js)
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  ingredient_id UUID REFERENCES ingredients(id) ON DELETE CASCADE NOT NULL,
+  
+  movement_type TEXT NOT NULL,
+  movement_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  quantity DECIMAL(10,3) NOT NULL, -- signed for adjustments
+  unit_cost DECIMAL(10,2), -- purchases only
+  location TEXT NOT NULL DEFAULT 'shop', -- store the stock is held at ('shop', 'factory' or a locations.id)
+  note TEXT,
+  
+  -- Metadata
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  -- Constraints
+  CONSTRAINT valid_movement_type CHECK (movement_type IN ('purchase', 'wastage', 'adjustment')),
+  CONSTRAINT valid_movement_quantity CHECK (
+    (movement_type = 'adjustment' AND quantity <> 0) OR quantity > 0
+  ),
+  CONSTRAINT valid_movement_cost CHECK (unit_cost IS NULL OR unit_cost >= 0)
+);
+
+-- Upgrade existing databases to stock locations (any location, not only shop/factory)
+ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS location TEXT NOT NULL DEFAULT 'shop';
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS valid_movement_location;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_stock_movements_org ON stock_movements(organization_id, movement_date);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_ingredient ON stock_movements(ingredient_id, movement_date);
+
+-- =============================================================================
+-- TABLE 16: SUPPLIERS
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS suppliers (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  
+  name TEXT NOT NULL,
+  phone TEXT,
+  gstin TEXT, -- empty for unregistered suppliers
+  payment_terms TEXT NOT NULL DEFAULT 'cash',
+  
+  -- Metadata
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  -- Optimistic locking
+  version INTEGER DEFAULT 1,
+  
+  -- Constraints
+  CONSTRAINT valid_gstin CHECK (gstin IS NULL OR gstin ~ '^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$'),
+  CONSTRAINT valid_payment_terms CHECK (payment_terms IN ('cash', 'net_7', 'net_15', 'net_30')),
+  
+  -- Prevent duplicates (case-insensitive)
+  UNIQUE (organization_id, LOWER(name))
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_suppliers_org ON suppliers(organization_id);
+
+-- =============================================================================
+-- TABLE 17: SUPPLIER PRICES (Junction Table)
+-- =============================================================================
+-- Price a supplier quotes for an ingredient, per the ingredient's unit
+CREATE TABLE IF NOT EXISTS supplier_prices (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  supplier_id UUID REFERENCES suppliers(id) ON DELETE CASCADE NOT NULL,
+  ingredient_id UUID REFERENCES ingredients(id) ON DELETE CASCADE NOT NULL,
+  price_per_unit DECIMAL(10,2) NOT NULL,
+  
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  CONSTRAINT valid_supplier_price CHECK (price_per_unit >= 0),
+  UNIQUE (supplier_id, ingredient_id)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_supplier_prices_ingredient ON supplier_prices(ingredient_id, price_per_unit);
+
+-- =============================================================================
+-- TABLE 18: PURCHASE ORDERS
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  supplier_id UUID REFERENCES suppliers(id) ON DELETE RESTRICT NOT NULL,
+  
+  po_number TEXT NOT NULL,
+  order_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  status TEXT NOT NULL DEFAULT 'draft',
+  received_date DATE,
+  
+  -- Metadata
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  -- Optimistic locking
+  version INTEGER DEFAULT 1,
+  
+  -- Constraints
+  CONSTRAINT valid_po_status CHECK (status IN ('draft', 'sent', 'receiving', 'received')),
+  UNIQUE (organization_id, po_number)
+);
+
+-- Upgrade existing databases to orders claimed as 'receiving' while their stock is booked
+ALTER TABLE purchase_orders DROP CONSTRAINT IF EXISTS valid_po_status;
+ALTER TABLE purchase_orders ADD CONSTRAINT valid_po_status CHECK (status IN ('draft', 'sent', 'receiving', 'received'));
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_org ON purchase_orders(organization_id, order_date DESC);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON purchase_orders(supplier_id);
+
+-- =============================================================================
+-- TABLE 19: PURCHASE ORDER LINES (Junction Table)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  po_id UUID REFERENCES purchase_orders(id) ON DELETE CASCADE NOT NULL,
+  ingredient_id UUID REFERENCES ingredients(id) ON DELETE RESTRICT NOT NULL,
+  quantity DECIMAL(10,3) NOT NULL,
+  unit_price DECIMAL(10,2) NOT NULL,
+  
+  CONSTRAINT valid_po_quantity CHECK (quantity > 0),
+  CONSTRAINT valid_po_price CHECK (unit_price >= 0),
+  UNIQUE (po_id, ingredient_id)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_po ON purchase_order_lines(po_id);
+
+-- =============================================================================
+-- TABLE 20: STOCK COUNTS
+-- =============================================================================
+-- One physical stock take sheet per location and date; actual usage between two
+-- counts is compared with theoretical recipe usage (costing/stock-take.js)
+CREATE TABLE IF NOT EXISTS stock_counts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  
+  count_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  location TEXT NOT NULL DEFAULT 'shop', -- 'shop', 'factory' or a locations.id
+  note TEXT,
+  
+  -- Metadata
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  -- Constraints
+  UNIQUE (organization_id, count_date, location)
+);
+
+-- Upgrade existing databases to any location
+ALTER TABLE stock_counts DROP CONSTRAINT IF EXISTS valid_count_location;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_stock_counts_org_date ON stock_counts(organization_id, count_date DESC);
+
+-- =============================================================================
+-- TABLE 21: STOCK COUNT LINES (Junction Table)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS stock_count_lines (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  count_id UUID REFERENCES stock_counts(id) ON DELETE CASCADE NOT NULL,
+  ingredient_id UUID REFERENCES ingredients(id) ON DELETE CASCADE NOT NULL,
+  counted_quantity DECIMAL(10,3) NOT NULL, -- in the ingredient's purchase unit
+  
+  CONSTRAINT valid_counted_quantity CHECK (counted_quantity >= 0),
+  UNIQUE (count_id, ingredient_id)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_stock_count_lines_count ON stock_count_lines(count_id);
+
+-- =============================================================================
+-- TABLE 22: LOCATIONS
+-- =============================================================================
+-- Outlets and kitchens beyond the built-in 'shop' and 'factory' (whose overhead
+-- lives on organizations). Other tables refer to a location by 'shop', 'factory'
+-- or a locations.id in their location column
+CREATE TABLE IF NOT EXISTS locations (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'outlet', -- outlets sell, kitchens produce
+  overhead JSONB DEFAULT '{}'::jsonb, -- monthly overhead lines, same shape as shop_overhead
+  
+  -- Metadata
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  -- Optimistic locking
+  version INTEGER DEFAULT 1,
+  
+  -- Constraints
+  CONSTRAINT valid_location_kind CHECK (kind IN ('outlet', 'kitchen')),
+  
+  -- Prevent duplicates (case-insensitive)
+  UNIQUE (organization_id, LOWER(name))
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_locations_org ON locations(organization_id);
+
+-- =============================================================================
+-- TABLE 23: RECIPE OUTLETS (Junction Table)
+-- =============================================================================
+-- Outlets a recipe is sold at, with an optional outlet price (NULL = the
+-- recipe's selling_price). A recipe without rows is sold at every outlet
+CREATE TABLE IF NOT EXISTS recipe_outlets (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  recipe_id UUID REFERENCES recipes(id) ON DELETE CASCADE NOT NULL,
+  location TEXT NOT NULL,
+  selling_price DECIMAL(10,2),
+  
+  CONSTRAINT valid_outlet_price CHECK (selling_price IS NULL OR selling_price >= 0),
+  UNIQUE (recipe_id, location)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_recipe_outlets_recipe ON recipe_outlets(recipe_id);
+
+-- =============================================================================
+-- TABLE 24: LOCATION TRANSFERS
+-- =============================================================================
+-- Dishes sent from a kitchen to an outlet, in sale units. unit_cost (variable
+-- cost) and transfer_price are saved when the transfer is made; the kitchen
+-- earns the transfer price and the outlet pays it (costing/transfers.js)
+CREATE TABLE IF NOT EXISTS location_transfers (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  recipe_id UUID REFERENCES recipes(id) ON DELETE CASCADE NOT NULL,
+  
+  transfer_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  from_location TEXT NOT NULL DEFAULT 'factory',
+  to_location TEXT NOT NULL DEFAULT 'shop',
+  quantity DECIMAL(10,3) NOT NULL,
+  unit_cost DECIMAL(10,2) NOT NULL DEFAULT 0,
+  transfer_price DECIMAL(10,2) NOT NULL,
+  pricing_rule TEXT NOT NULL DEFAULT 'fixed', -- cost, cost_plus, outlet_less or fixed
+  notes TEXT,
+  
+  -- Metadata
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  -- Constraints
+  CONSTRAINT valid_transfer_quantity CHECK (quantity > 0),
+  CONSTRAINT valid_transfer_price CHECK (transfer_price >= 0 AND unit_cost >= 0),
+  CONSTRAINT valid_transfer_route CHECK (from_location <> to_location),
+  CONSTRAINT valid_transfer_rule CHECK (pricing_rule IN ('cost', 'cost_plus', 'outlet_less', 'fixed'))
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_location_transfers_org_date ON location_transfers(organization_id, transfer_date DESC);
+CREATE INDEX IF NOT EXISTS idx_location_transfers_recipe ON location_transfers(recipe_id, transfer_date DESC);
+
+-- =============================================================================
+-- TABLE 25: RECIPE BOX ITEMS (Junction Table)
+-- =============================================================================
+-- Contents of an assorted box (recipes.is_box): the weight of each sweet in it
+CREATE TABLE IF NOT EXISTS recipe_box_items (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  recipe_id UUID REFERENCES recipes(id) ON DELETE CASCADE NOT NULL,
+  item_recipe_id UUID REFERENCES recipes(id) ON DELETE RESTRICT NOT NULL,
+  weight_g DECIMAL(10,3) NOT NULL,
+  
+  CONSTRAINT valid_box_item_weight CHECK (weight_g > 0),
+  CONSTRAINT valid_box_item CHECK (item_recipe_id <> recipe_id),
+  UNIQUE (recipe_id, item_recipe_id)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_recipe_box_items_recipe ON recipe_box_items(recipe_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_box_items_item ON recipe_box_items(item_recipe_id);
+
 -- =============================================================================
 -- TRIGGERS: AUTO-UPDATE TIMESTAMPS & VERSIONS
 -- =============================================================================
@@ -240,6 +867,26 @@ CREATE TRIGGER update_staff_metadata
 BEFORE UPDATE ON staff
 FOR EACH ROW EXECUTE FUNCTION update_timestamp_and_version();
 
+DROP TRIGGER IF EXISTS update_packaging_items_metadata ON packaging_items;
+CREATE TRIGGER update_packaging_items_metadata
+BEFORE UPDATE ON packaging_items
+FOR EACH ROW EXECUTE FUNCTION update_timestamp_and_version();
+
+DROP TRIGGER IF EXISTS update_suppliers_metadata ON suppliers;
+CREATE TRIGGER update_suppliers_metadata
+BEFORE UPDATE ON suppliers
+FOR EACH ROW EXECUTE FUNCTION update_timestamp_and_version();
+
+DROP TRIGGER IF EXISTS update_purchase_orders_metadata ON purchase_orders;
+CREATE TRIGGER update_purchase_orders_metadata
+BEFORE UPDATE ON purchase_orders
+FOR EACH ROW EXECUTE FUNCTION update_timestamp_and_version();
+
+DROP TRIGGER IF EXISTS update_locations_metadata ON locations;
+CREATE TRIGGER update_locations_metadata
+BEFORE UPDATE ON locations
+FOR EACH ROW EXECUTE FUNCTION update_timestamp_and_version();
+
 DROP TRIGGER IF EXISTS update_organizations_metadata ON organizations;
 CREATE TRIGGER update_organizations_metadata
 BEFORE UPDATE ON organizations
@@ -320,6 +967,24 @@ ALTER TABLE recipes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE recipe_ingredients ENABLE ROW LEVEL SECURITY;
 ALTER TABLE staff ENABLE ROW LEVEL SECURITY;
 ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ingredient_price_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE packaging_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recipe_packaging ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sales_imports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sales_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE production_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE production_shift_staff ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stock_movements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE suppliers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE supplier_prices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_order_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stock_counts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stock_count_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE locations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recipe_outlets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE location_transfers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recipe_box_items ENABLE ROW LEVEL SECURITY;
 
 -- Drop existing policies if any
 DROP POLICY IF EXISTS org_access_organizations ON organizations;
@@ -328,6 +993,24 @@ DROP POLICY IF EXISTS org_access_recipes ON recipes;
 DROP POLICY IF EXISTS org_access_recipe_ingredients ON recipe_ingredients;
 DROP POLICY IF EXISTS org_access_staff ON staff;
 DROP POLICY IF EXISTS org_access_audit_log ON audit_log;
+DROP POLICY IF EXISTS org_access_ingredient_price_history ON ingredient_price_history;
+DROP POLICY IF EXISTS org_access_packaging_items ON packaging_items;
+DROP POLICY IF EXISTS org_access_recipe_packaging ON recipe_packaging;
+DROP POLICY IF EXISTS org_access_sales_imports ON sales_imports;
+DROP POLICY IF EXISTS org_access_sales_entries ON sales_entries;
+DROP POLICY IF EXISTS org_access_production_batches ON production_batches;
+DROP POLICY IF EXISTS org_access_production_shift_staff ON production_shift_staff;
+DROP POLICY IF EXISTS org_access_stock_movements ON stock_movements;
+DROP POLICY IF EXISTS org_access_suppliers ON suppliers;
+DROP POLICY IF EXISTS org_access_supplier_prices ON supplier_prices;
+DROP POLICY IF EXISTS org_access_purchase_orders ON purchase_orders;
+DROP POLICY IF EXISTS org_access_purchase_order_lines ON purchase_order_lines;
+DROP POLICY IF EXISTS org_access_stock_counts ON stock_counts;
+DROP POLICY IF EXISTS org_access_stock_count_lines ON stock_count_lines;
+DROP POLICY IF EXISTS org_access_locations ON locations;
+DROP POLICY IF EXISTS org_access_recipe_outlets ON recipe_outlets;
+DROP POLICY IF EXISTS org_access_location_transfers ON location_transfers;
+DROP POLICY IF EXISTS org_access_recipe_box_items ON recipe_box_items;
 DROP POLICY IF EXISTS org_members_access ON organization_members;
 
 -- Policy: Users can access their organization's data
@@ -365,6 +1048,124 @@ FOR SELECT USING (
   organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
 );
 
+CREATE POLICY org_access_ingredient_price_history ON ingredient_price_history
+FOR ALL USING (
+  organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
+);
+
+CREATE POLICY org_access_packaging_items ON packaging_items
+FOR ALL USING (
+  organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
+);
+
+CREATE POLICY org_access_recipe_packaging ON recipe_packaging
+FOR ALL USING (
+  recipe_id IN (
+    SELECT id FROM recipes WHERE organization_id IN (
+      SELECT organization_id FROM organization_members WHERE user_id = auth.uid()
+    )
+  )
+);
+
+CREATE POLICY org_access_sales_imports ON sales_imports
+FOR ALL USING (
+  organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
+);
+
+CREATE POLICY org_access_sales_entries ON sales_entries
+FOR ALL USING (
+  organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
+);
+
+CREATE POLICY org_access_production_batches ON production_batches
+FOR ALL USING (
+  organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
+);
+
+CREATE POLICY org_access_production_shift_staff ON production_shift_staff
+FOR ALL USING (
+  batch_id IN (
+    SELECT id FROM production_batches WHERE organization_id IN (
+      SELECT organization_id FROM organization_members WHERE user_id = auth.uid()
+    )
+  )
+);
+
+CREATE POLICY org_access_stock_movements ON stock_movements
+FOR ALL USING (
+  organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
+);
+
+CREATE POLICY org_access_suppliers ON suppliers
+FOR ALL USING (
+  organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
+);
+
+CREATE POLICY org_access_supplier_prices ON supplier_prices
+FOR ALL USING (
+  supplier_id IN (
+    SELECT id FROM suppliers WHERE organization_id IN (
+      SELECT organization_id FROM organization_members WHERE user_id = auth.uid()
+    )
+  )
+);
+
+CREATE POLICY org_access_purchase_orders ON purchase_orders
+FOR ALL USING (
+  organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
+);
+
+CREATE POLICY org_access_purchase_order_lines ON purchase_order_lines
+FOR ALL USING (
+  po_id IN (
+    SELECT id FROM purchase_orders WHERE organization_id IN (
+      SELECT organization_id FROM organization_members WHERE user_id = auth.uid()
+    )
+  )
+);
+
+CREATE POLICY org_access_stock_counts ON stock_counts
+FOR ALL USING (
+  organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
+);
+
+CREATE POLICY org_access_stock_count_lines ON stock_count_lines
+FOR ALL USING (
+  count_id IN (
+    SELECT id FROM stock_counts WHERE organization_id IN (
+      SELECT organization_id FROM organization_members WHERE user_id = auth.uid()
+    )
+  )
+);
+
+CREATE POLICY org_access_locations ON locations
+FOR ALL USING (
+  organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
+);
+
+CREATE POLICY org_access_recipe_outlets ON recipe_outlets
+FOR ALL USING (
+  recipe_id IN (
+    SELECT id FROM recipes WHERE organization_id IN (
+      SELECT organization_id FROM organization_members WHERE user_id = auth.uid()
+    )
+  )
+);
+
+CREATE POLICY org_access_location_transfers ON location_transfers
+FOR ALL USING (
+  organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = auth.uid())
+);
+
+CREATE POLICY org_access_recipe_box_items ON recipe_box_items
+FOR ALL USING (
+  recipe_id IN (
+    SELECT id FROM recipes WHERE organization_id IN (
+      SELECT organization_id FROM organization_members WHERE user_id = auth.uid()
+    )
+  )
+);
+
 CREATE POLICY org_members_access ON organization_members
 FOR ALL USING (
   user_id = auth.uid() OR 
@@ -379,6 +1180,8 @@ FOR ALL USING (
 DROP VIEW IF EXISTS recipe_details;
 
 -- View: Recipes with full ingredient details
+-- Costs are not computed here: costing/engine.js is the single costing source,
+-- so DB.Recipes attaches the same breakdown the dashboard and recipe screens show
 CREATE VIEW recipe_details AS
 SELECT 
   r.id,
@@ -388,6 +1191,16 @@ SELECT
   r.selling_price,
   r.wastage_percentage,
   r.daily_production,
+  r.is_preparation,
+  r.yield_quantity,
+  r.yield_unit,
+  r.sale_unit,
+  r.batch_weight_kg,
+  r.batch_count,
+  r.location,
+  r.piece_weight_g,
+  r.price_per_kg,
+  r.is_box,
   r.version,
   r.created_at,
   r.updated_at,
@@ -397,22 +1210,55 @@ SELECT
     json_agg(
       json_build_object(
         'ingredient_id', i.id,
-        'name', i.name,
-        'unit', i.unit,
+        'sub_recipe_id', sr.id,
+        'name', COALESCE(i.name, sr.name),
+        'unit', COALESCE(i.unit, sr.yield_unit),
         'price_per_unit', i.price_per_unit,
+        'density', i.density,
         'quantity', ri.quantity,
-        'cost', ri.quantity * i.price_per_unit
-      ) ORDER BY i.name
-    ) FILTER (WHERE i.id IS NOT NULL),
+        'quantity_unit', COALESCE(ri.unit, i.unit, sr.yield_unit)
+      ) ORDER BY COALESCE(i.name, sr.name)
+    ) FILTER (WHERE ri.id IS NOT NULL),
     '[]'
   ) as ingredients,
-  COALESCE(
-    SUM(ri.quantity * i.price_per_unit),
-    0
-  ) as raw_material_cost
+  (
+    SELECT COALESCE(json_agg(
+      json_build_object(
+        'packaging_id', p.id,
+        'name', p.name,
+        'cost_per_unit', p.cost_per_unit,
+        'quantity', rp.quantity,
+        'per', rp.per
+      ) ORDER BY p.name
+    ), '[]')
+    FROM recipe_packaging rp
+    JOIN packaging_items p ON rp.packaging_id = p.id
+    WHERE rp.recipe_id = r.id
+  ) as packaging,
+  (
+    SELECT COALESCE(json_agg(
+      json_build_object(
+        'location', ro.location,
+        'selling_price', ro.selling_price
+      )
+    ), '[]')
+    FROM recipe_outlets ro
+    WHERE ro.recipe_id = r.id
+  ) as recipe_outlets,
+  (
+    SELECT COALESCE(json_agg(
+      json_build_object(
+        'item_recipe_id', bi.item_recipe_id,
+        'weight_g', bi.weight_g
+      )
+    ), '[]')
+    FROM recipe_box_items bi
+    WHERE bi.recipe_id = r.id
+  ) as recipe_box_items
 FROM recipes r
 LEFT JOIN recipe_ingredients ri ON r.id = ri.recipe_id
 LEFT JOIN ingredients i ON ri.ingredient_id = i.id
+LEFT JOIN recipes sr ON ri.sub_recipe_id = sr.id
 GROUP BY r.id;
 
 -- =============================================================================
@@ -422,7 +1268,7 @@ GROUP BY r.id;
 -- Check all tables exist
 SELECT table_name FROM information_schema.tables 
 WHERE table_schema = 'public' 
-  AND table_name IN ('organizations', 'organization_members', 'ingredients', 'recipes', 'recipe_ingredients', 'staff', 'audit_log')
+  AND table_name IN ('organizations', 'organization_members', 'ingredients', 'recipes', 'recipe_ingredients', 'staff', 'audit_log', 'ingredient_price_history', 'packaging_items', 'recipe_packaging', 'sales_imports', 'sales_entries', 'production_batches', 'production_shift_staff', 'stock_movements', 'suppliers', 'supplier_prices', 'purchase_orders', 'purchase_order_lines', 'stock_counts', 'stock_count_lines', 'locations', 'recipe_outlets', 'location_transfers', 'recipe_box_items')
 ORDER BY table_name;
 
 -- Check RLS is enabled
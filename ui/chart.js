@@ -0,0 +1,99 @@
+// Chart Module
+// Lightweight inline SVG charts (no chart library, works offline)
+
+(function() {
+  'use strict';
+
+  const WIDTH = 320;
+  const HEIGHT = 180;
+  const PAD = { top: 12, right: 12, bottom: 28, left: 48 };
+
+  // Short rupee label for axis ticks (₹1.2L, ₹45k)
+  function shortCurrency(value) {
+    const abs = Math.abs(value);
+    const sign = value < 0 ? '-' : '';
+    if (abs >= 100000) return `${sign}₹${(abs / 100000).toFixed(1)}L`;
+    if (abs >= 1000) return `${sign}₹${(abs / 1000).toFixed(0)}k`;
+    return `${sign}₹${abs.toFixed(0)}`;
+  }
+
+  window.UI = window.UI || {};
+
+  window.UI.Chart = {
+    /**
+     * Profit against volume as an SVG string
+     * points: [{ units, profit }]; markers: [{ units, label, color }] drawn as vertical lines
+     */
+    profitVolume(points, markers = [], unitLabel = 'units') {
+      if (!points.length) return '';
+      const plotWidth = WIDTH - PAD.left - PAD.right;
+      const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+      const maxUnits = points[points.length - 1].units || 1;
+      const profits = points.map(p => p.profit);
+      const maxProfit = Math.max(0, ...profits);
+      const minProfit = Math.min(0, ...profits);
+      const range = (maxProfit - minProfit) || 1;
+
+      const x = units => PAD.left + (units / maxUnits) * plotWidth;
+      const y = profit => PAD.top + ((maxProfit - profit) / range) * plotHeight;
+
+      const path = points.map((p, i) => `${i ? 'L' : 'M'}${x(p.units).toFixed(1)},${y(p.profit).toFixed(1)}`).join(' ');
+      const markerLines = markers
+        .filter(m => m.units !== null && m.units !== undefined && m.units <= maxUnits)
+        .map(m => `<line x1="${x(m.units).toFixed(1)}" y1="${PAD.top}" x2="${x(m.units).toFixed(1)}" y2="${PAD.top + plotHeight}" stroke="${m.color}" stroke-dasharray="4 3"/>
+          <text x="${(x(m.units) + 3).toFixed(1)}" y="${PAD.top + 10}" font-size="9" fill="${m.color}">${m.label}</text>`)
+        .join('');
+
+      return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" width="100%" role="img" aria-label="Profit against volume" style="max-width:${WIDTH * 2}px;">
+        <line x1="${PAD.left}" y1="${y(0).toFixed(1)}" x2="${PAD.left + plotWidth}" y2="${y(0).toFixed(1)}" stroke="var(--color-border)"/>
+        <line x1="${PAD.left}" y1="${PAD.top}" x2="${PAD.left}" y2="${PAD.top + plotHeight}" stroke="var(--color-border)"/>
+        <text x="${PAD.left - 4}" y="${PAD.top + 8}" font-size="9" text-anchor="end" fill="var(--color-text-secondary)">${shortCurrency(maxProfit)}</text>
+        <text x="${PAD.left - 4}" y="${(y(0) + 3).toFixed(1)}" font-size="9" text-anchor="end" fill="var(--color-text-secondary)">₹0</text>
+        <text x="${PAD.left - 4}" y="${PAD.top + plotHeight}" font-size="9" text-anchor="end" fill="var(--color-text-secondary)">${shortCurrency(minProfit)}</text>
+        <text x="${PAD.left}" y="${HEIGHT - 8}" font-size="9" fill="var(--color-text-secondary)">0</text>
+        <text x="${PAD.left + plotWidth}" y="${HEIGHT - 8}" font-size="9" text-anchor="end" fill="var(--color-text-secondary)">${Math.round(maxUnits)} ${unitLabel}/month</text>
+        ${markerLines}
+        <path d="${path}" fill="none" stroke="var(--color-primary)" stroke-width="2"/>
+      </svg>`;
+    },
+
+    /**
+     * Scatter plot as an SVG string, with rupee values on the y axis
+     * points: [{ x, y, label, color }]; xLine / yLine are dashed threshold lines splitting the quadrants
+     */
+    scatter(points, { xLine = null, yLine = null, xLabel = '', yLabel = '' } = {}) {
+      if (!points.length) return '';
+      const plotWidth = WIDTH - PAD.left - PAD.right;
+      const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+      const xs = points.map(p => p.x).concat(xLine === null ? [] : [xLine]);
+      const ys = points.map(p => p.y).concat(yLine === null ? [] : [yLine]);
+      const maxX = Math.max(...xs) * 1.1 || 1;
+      const maxY = Math.max(0, ...ys) * 1.1;
+      const minY = Math.min(0, ...ys);
+      const range = (maxY - minY) || 1;
+
+      const x = value => PAD.left + (value / maxX) * plotWidth;
+      const y = value => PAD.top + ((maxY - value) / range) * plotHeight;
+
+      const thresholds = [
+        xLine === null ? '' : `<line x1="${x(xLine).toFixed(1)}" y1="${PAD.top}" x2="${x(xLine).toFixed(1)}" y2="${PAD.top + plotHeight}" stroke="var(--color-text-secondary)" stroke-dasharray="4 3"/>`,
+        yLine === null ? '' : `<line x1="${PAD.left}" y1="${y(yLine).toFixed(1)}" x2="${PAD.left + plotWidth}" y2="${y(yLine).toFixed(1)}" stroke="var(--color-text-secondary)" stroke-dasharray="4 3"/>`
+      ].join('');
+      const dots = points.map(p => `<circle cx="${x(p.x).toFixed(1)}" cy="${y(p.y).toFixed(1)}" r="4" fill="${p.color}"><title>${p.label}</title></circle>
+          <text x="${(x(p.x) + 6).toFixed(1)}" y="${(y(p.y) + 3).toFixed(1)}" font-size="8" fill="var(--color-text)">${p.label}</text>`).join('');
+
+      return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" width="100%" role="img" aria-label="${yLabel} against ${xLabel}" style="max-width:${WIDTH * 2}px;">
+        <line x1="${PAD.left}" y1="${y(0).toFixed(1)}" x2="${PAD.left + plotWidth}" y2="${y(0).toFixed(1)}" stroke="var(--color-border)"/>
+        <line x1="${PAD.left}" y1="${PAD.top}" x2="${PAD.left}" y2="${PAD.top + plotHeight}" stroke="var(--color-border)"/>
+        <text x="${PAD.left - 4}" y="${PAD.top + 8}" font-size="9" text-anchor="end" fill="var(--color-text-secondary)">${shortCurrency(maxY)}</text>
+        <text x="${PAD.left - 4}" y="${(y(0) + 3).toFixed(1)}" font-size="9" text-anchor="end" fill="var(--color-text-secondary)">₹0</text>
+        <text x="${PAD.left}" y="${HEIGHT - 8}" font-size="9" fill="var(--color-text-secondary)">${yLabel} ↑</text>
+        <text x="${PAD.left + plotWidth}" y="${HEIGHT - 8}" font-size="9" text-anchor="end" fill="var(--color-text-secondary)">${xLabel} →</text>
+        ${thresholds}
+        ${dots}
+      </svg>`;
+    }
+  };
+
+  console.log('✅ UI.Chart module loaded');
+})();